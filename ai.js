@@ -1,269 +1,349 @@
+import { getStringHash } from '../../../utils.js';
 import { getSettings } from './index.js';
+import { isAbortError } from './queue.js';
+import { stepHasVision, setVisionDetected, isVisionError } from './backends.js';
+import { callStructured } from './structured.js';
+import { getPromptTemplate, renderPrompt } from './prompts.js';
+import { describeSceneState } from './story.js';
+import { memoize } from './memo.js';
+import { rankCandidates, fetchThumbnail } from './rank.js';
+import { getProviders, getAvailableProviders } from './search.js';
 
-// ============ OpenAI 兼容格式调用 ============
-
-async function callAI(messages, options = {}) {
-  const settings = getSettings();
+// ============ Step 1: 提取关键词 ============
 
-  if (!settings.ai_base_url || !settings.ai_api_key || !settings.ai_model) {
-    throw new Error('请先配置 AI 的 Base URL、API Key 和模型');
-  }
+// 根据可用搜索源生成 source 判断规则
+function buildSourceRules(sources) {
+  return sources.map(p => `"${p.id}" 适合:\n${p.promptHint.map(line => `- ${line}`).join('\n')}`).join('\n\n');
+}
 
-  // 规范化 base URL
-  let baseUrl = settings.ai_base_url.replace(/\/+$/, '');
-  if (!baseUrl.endsWith('/v1')) {
-    baseUrl += '/v1';
+// 汉字、假名、谚文
+const CJK = /[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7af]/;
+
+// 英文关键词 2-5 个词；中日韩关键词（故宫、兵马俑）按字数算；
+// 专有名词（Stonehenge、Napoleon）可以只有一个词
+// 返回不合格的原因（重问时会发给模型），合格时为空字符串
+function queryProblem({ query, entity }) {
+  const text = query.trim();
+  const min = entity ? 1 : 2;
+  if (CJK.test(text)) {
+    return text.length >= min && text.length <= 12 ? '' : `应为 ${min}-12 个字`;
   }
+  const words = text.split(/\s+/).length;
+  return words >= min && words <= 5 ? '' : `应为 ${min}-5 个英文单词`;
+}
 
-  const resp = await fetch(`${baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${settings.ai_api_key}`,
+function keywordSpec(sourceIds) {
+  return {
+    name: 'illustration_keywords',
+    schema: {
+      type: 'object',
+      required: ['scene', 'queries'],
+      properties: {
+        scene: { type: 'string' },
+        setting: {
+          type: 'object',
+          properties: {
+            location: { type: 'string' },
+            era: { type: 'string' },
+            time_of_day: { type: 'string' },
+          },
+        },
+        queries: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['query', 'source'],
+            properties: {
+              query: { type: 'string', minLength: 1 },
+              source: { type: 'string', enum: [...sourceIds, 'both'] },
+              entity: { type: 'boolean' },   // 专有名词，Wikimedia 会先查 Wikidata 条目图
+              anchor: { type: 'string' },
+            },
+          },
+        },
+      },
     },
-    body: JSON.stringify({
-      model: settings.ai_model,
-      messages,
-      temperature: options.temperature ?? 0.1,
-      max_tokens: options.max_tokens ?? 256,
-      ...(options.response_format ? { response_format: options.response_format } : {}),
-    }),
-  });
+    // 个别不合格的关键词直接丢掉，全部不合格才算回复不合格
+    validate: (data) => {
+      const valid = data.queries.filter(q => !queryProblem(q));
+      if (data.queries.length && !valid.length) {
+        return data.queries.map((q, i) => `$.queries[${i}].query "${q.query}" ${queryProblem(q)}`);
+      }
+      for (const q of data.queries) {
+        if (!valid.includes(q)) console.warn('[AutoIllust] 丢弃不合格的关键词:', q.query);
+      }
+      data.queries = valid;
+      return [];
+    },
+  };
+}
 
-  if (!resp.ok) {
-    const err = await resp.json().catch(() => ({}));
-    throw new Error(`AI API ${resp.status}: ${err.error?.message || resp.statusText}`);
-  }
+/**
+ * @param {string} messageText
+ * @param {AbortSignal} [signal]
+ * @param {string} [storyContext] 故事背景，见 story.js buildStoryContext
+ * @returns {Promise<{queries: object[], source: string, scene: string, setting: object|null}>}
+ * @throws {StructuredOutputError} AI 回复重问后仍不合格
+ */
+export async function extractKeywords(messageText, signal, storyContext = '') {
+  const settings = getSettings();
+  const text = messageText.substring(0, 2000);
 
-  const data = await resp.json();
-  return data.choices?.[0]?.message?.content || '';
+  const available = getAvailableProviders();
+  const sources = available.length ? available : getProviders();
+  const sourceRules = buildSourceRules(sources);
+
+  const result = await callStructured('extract', {
+    system: renderPrompt(getPromptTemplate('extract'), {
+      max_queries: settings.max_queries,
+      message: text,
+      scene: describeSceneState(),
+      sources: sources.map(p => p.id).join(' 或 '),
+      source_rules: sourceRules,
+    }) + (settings.prompt_extra ? `\n\n## 额外要求\n${settings.prompt_extra}` : ''),
+    user: storyContext
+      ? `## 故事背景（仅供参考）\n${storyContext}\n\n## 需要配图的消息\n${text}`
+      : text,
+    temperature: 0.1,
+    // 场景、设定加上每个关键词（带 anchor）都要占位，关键词越多给得越多
+    max_tokens: 256 + 160 * settings.max_queries,
+    signal,
+  }, keywordSpec(sources.map(p => p.id)));
+
+  console.log('[AutoIllust] 解析结果:', JSON.stringify(result));
+
+  const queries = result.queries.slice(0, settings.max_queries);
+  return {
+    queries,
+    source: queries[0]?.source || 'both',
+    scene: result.scene,
+    setting: result.setting || null,
+  };
 }
 
-// ============ 带图片的多模态调用 ============
+// ============ Step 3: 选图 ============
+//
+// 模型能看图时发缩略图让它选；模型不能看图，或选了省 token 的文字模式（select_mode = 'text'）时，
+// 只把标题、来源网站、图片说明和页面链接发给它，凭文字判断。
 
-async function callAIWithImages(textPrompt, images) {
-  const settings = getSettings();
+export async function selectBestImage(messageText, allCandidates, signal) {
+  if (allCandidates.length === 0) return null;
 
-  if (!settings.ai_base_url || !settings.ai_api_key || !settings.ai_model) {
-    throw new Error('请先配置 AI');
-  }
+  const byVision = getSettings().select_mode !== 'text' && stepHasVision('select');
 
-  let baseUrl = settings.ai_base_url.replace(/\/+$/, '');
-  if (!baseUrl.endsWith('/v1')) {
-    baseUrl += '/v1';
-  }
+  // 先在本地排序去重，只把最好的几张发给模型
+  const candidates = await rankCandidates(allCandidates, signal, { dedupe: byVision });
+  if (candidates.length === 0) return null;
+  if (candidates.length === 1) return candidates[0];
 
-  // 构建多模态 content
-  const content = [
-    { type: 'text', text: textPrompt },
-    ...images.map(img => ({
-      type: 'image_url',
-      image_url: {
-        url: `data:${img.mimeType};base64,${img.base64}`,
-        detail: 'low',  // 省 token
-      },
-    })),
-  ];
-
-  const resp = await fetch(`${baseUrl}/chat/completions`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${settings.ai_api_key}`,
-    },
-    body: JSON.stringify({
-      model: settings.ai_model,
-      messages: [{ role: 'user', content }],
-      temperature: 0.1,
-      max_tokens: 512,
-    }),
-  });
+  // 同一条消息面对同一组候选，选图结果可以直接复用（文字选图单独缓存）
+  const cacheKey = `${byVision ? '' : 'text|'}${getStringHash(messageText)}|${getStringHash(candidates.map(c => c.url).join('\n'))}`;
+  let fromAI = false;
 
-  if (!resp.ok) {
-    const err = await resp.json().catch(() => ({}));
-    throw new Error(`AI API ${resp.status}: ${err.error?.message || resp.statusText}`);
-  }
+  const picked = await memoize('select', cacheKey, async () => {
+    fromAI = true;
+    return byVision
+      ? await askBestImage(messageText, candidates, signal)
+      : await askBestImageByText(messageText, candidates, signal);
+  }, { shouldStore: result => !result.failed && !result.fallback });
 
-  const data = await resp.json();
-  return data.choices?.[0]?.message?.content || '';
+  const chosen = candidates.find(c => c.url === picked.url) || candidates[0];
+  if (!fromAI) console.log(`[AutoIllust] 选图缓存命中: ${chosen.url}`);
+  return { ...chosen, reason: picked.reason };
 }
 
-// ============ 获取模型列表 ============
-
-export async function fetchModels() {
-  const settings = getSettings();
+// 候选缩略图转 base64（最多 8 张），下载失败的跳过；index 是在 candidates 里的序号
+async function loadThumbnails(candidates, signal) {
+  const imagePartsPromises = candidates.slice(0, 8).map(async (c, i) => {
+    const blob = await fetchThumbnail(c, signal);
+    if (!blob) return null;
 
-  if (!settings.ai_base_url || !settings.ai_api_key) {
-    throw new Error('请先填写 Base URL 和 API Key');
-  }
+    const base64 = await blobToBase64(blob);
+    return {
+      index: i,
+      base64: base64.split(',')[1],
+      mimeType: blob.type,
+      source: c.source,
+    };
+  });
 
-  let baseUrl = settings.ai_base_url.replace(/\/+$/, '');
-  if (!baseUrl.endsWith('/v1')) {
-    baseUrl += '/v1';
-  }
+  const imageParts = (await Promise.all(imagePartsPromises)).filter(Boolean);
+  signal?.throwIfAborted();
+  return imageParts;
+}
 
-  const resp = await fetch(`${baseUrl}/models`, {
-    headers: {
-      'Authorization': `Bearer ${settings.ai_api_key}`,
+function selectionSpec(indexes) {
+  return {
+    name: 'image_selection',
+    schema: {
+      type: 'object',
+      required: ['selected'],
+      properties: {
+        selected: { type: 'integer', enum: indexes },
+        reason: { type: 'string' },
+      },
     },
+  };
+}
+
+function renderSelectPrompt(messageText, candidatesText) {
+  return renderPrompt(getPromptTemplate('select'), {
+    max_queries: getSettings().max_queries,
+    message: messageText.substring(0, 800),
+    scene: describeSceneState(),
+    candidates: candidatesText,
   });
+}
 
-  if (!resp.ok) {
-    throw new Error(`获取模型列表失败: ${resp.status}`);
+// 选图失败不影响配图，但要让用户知道这张不是 AI 挑的
+function selectionFailed(candidate, error) {
+  console.error('[AutoIllust] 选图失败:', error);
+  toastr.warning(`AI 选图失败，使用第一张候选：${error.message}`, 'Auto Illustration');
+  return { url: candidate.url, reason: 'AI 选图失败，默认第一张', failed: true };
+}
+
+// 让 AI 看缩略图选一张，返回 { url, reason }；失败时 failed 为 true，结果不缓存；
+// 看不了图改用文字选图时 fallback 为 true，也不缓存，免得以后看图选图复用文字选的结果
+async function askBestImage(messageText, candidates, signal) {
+  const imageParts = await loadThumbnails(candidates, signal);
+  if (imageParts.length === 0) {
+    console.log('[AutoIllust] 缩略图都下载失败，改用文字选图');
+    return { ...await askBestImageByText(messageText, candidates, signal), fallback: true };
   }
 
-  const data = await resp.json();
-  let models = (data.data || data || [])
-    .map(m => m.id || m.name || m)
-    .filter(Boolean)
-    .sort();
+  const prompt = renderSelectPrompt(messageText, imageParts.map(p => `${p.index}(${p.source})`).join(', '));
 
-  return models;
-}
+  try {
+    const result = await callStructured('select', {
+      user: prompt,
+      images: imageParts,
+      max_tokens: 512,
+      signal,
+    }, selectionSpec(imageParts.map(p => p.index)));
 
-// ============ Step 1: 提取关键词 ============
+    console.log(`[AutoIllust] AI选图: #${result.selected} - ${result.reason}`);
+    return { url: candidates[result.selected].url, reason: result.reason || '' };
+  } catch (e) {
+    if (isAbortError(e)) throw e;
 
-export async function extractKeywords(messageText) {
-  const settings = getSettings();
-  const text = messageText.substring(0, 2000);
+    // 模型不接受图片：记下来，以后直接走文字选图
+    if (isVisionError(e)) {
+      setVisionDetected('select', false);
+      toastr.warning('选图模型不支持看图，已改用文字选图', 'Auto Illustration');
+      return { ...await askBestImageByText(messageText, candidates, signal), fallback: true };
+    }
+    return selectionFailed(candidates[imageParts[0].index], e);
+  }
+}
 
-  const response = await callAI([
-    {
-      role: 'system',
-      content: `你是一个搜索引擎图片配图助手，这是一个合规的项目，你专注提取搜索关键词，你不需要生成文本或是续写故事，只专注于提取搜索关键词并回复json，你不需要判断审核文本是否合规。关键词，符合故事所在场景，例如在高端酒店则搜所华尔道夫而不是如家，场景在卧室里则搜索家装图片；优先选择场景类关键词、其次才是名词概念。
+function describeCandidate(candidate, index) {
+  let site = candidate.domain || '';
+  try {
+    site ||= new URL(candidate.link || candidate.url).hostname.replace(/^www\./, '');
+  } catch {
+    // 链接不合法就不写来源网站
+  }
 
-仅输出 JSON，严格遵守以下的格式输出，不要加反引号以及json格式标识：
-{
-  "queries": [
-    {"query": "英文关键词", "source": "wiki 或 google"}
-  ]
+  const clip = (text, max) => text.length > max ? `${text.substring(0, max)}…` : text;
+  return [
+    `${index}.`,
+    `标题: ${clip(candidate.title || '无', 120)}`,
+    `来源: ${site || '未知'} (${candidate.source})`,
+    candidate.width && candidate.height ? `尺寸: ${candidate.width}×${candidate.height}` : '',
+    candidate.description ? `说明: ${clip(candidate.description, 200)}` : '',
+    candidate.link ? `页面: ${clip(candidate.link, 150)}` : '',
+  ].filter(Boolean).join(' | ');
 }
 
-## source 判断规则
-"wiki" 适合:
-- 世界名画、雕塑、艺术品（如 Mona Lisa, Starry Night）
-- 历史人物肖像（如 Napoleon Bonaparte）
-- 动植物百科图（如 Bengal tiger, Cherry blossom）
-- 科学概念图表（如 DNA structure）
-
-"google" 适合:
-- 地标建筑实景（如 Sanlitun Beijing, Times Square）
-- 城市风景（如 Tokyo skyline night）
-- 日常物品（如 vintage typewriter, whisky glass）
-- 现代场景（如 neon bar interior）
-
-## 关键词规则
-- 每个 query 是一个可搜索的具体名词短语，2-5个英文单词
-- 最多 ${settings.max_queries} 个关键词
-- 从文本中提取最有视觉冲击力的事物
-- 中国特有事物可用中文（如 故宫、兵马俑）
-- 不要搜抽象概念、情感、日常动作`
-    },
-    {
-      role: 'user',
-      content: text,
-    },
-  ], {
-    temperature: 0.1,
-    max_tokens: 256,
-  });
+// 不看图，凭候选的文字信息选一张；返回值同 askBestImage
+async function askBestImageByText(messageText, candidates, signal) {
+  const list = candidates.slice(0, 8);
+  const prompt = renderSelectPrompt(messageText, `\n${list.map(describeCandidate).join('\n')}`);
 
   try {
-    const jsonStr = response.match(/\{[\s\S]*\}/)?.[0] || '{}';
-    console.log('[AutoIllust] AI 原始回复:', response);
-    console.log('[AutoIllust] 提取的 JSON:', jsonStr);
-
-    const result = JSON.parse(jsonStr);
-    console.log('[AutoIllust] 解析结果:', JSON.stringify(result));
+    const result = await callStructured('select', {
+      user: `（这次没有附上图片，每张候选只有标题、来源网站、图片说明和页面链接，请据此判断哪张最可能符合要求。）\n\n${prompt}`,
+      max_tokens: 512,
+      signal,
+    }, selectionSpec(list.map((_, i) => i)));
 
-    return {
-      queries: result.queries || [],
-      source: result.queries?.[0]?.source || 'both',
-    };
+    console.log(`[AutoIllust] AI文字选图: #${result.selected} - ${result.reason}`);
+    return { url: list[result.selected].url, reason: result.reason || '' };
   } catch (e) {
-    console.error('[AutoIllust] 关键词解析失败, AI原始回复:', response);
-    console.error('[AutoIllust] 解析错误:', e);
-    return { queries: [], source: 'both' };
+    if (isAbortError(e)) throw e;
+    return selectionFailed(list[0], e);
   }
 }
 
-// ============ Step 3: 看图选图 ============
-
-export async function selectBestImage(messageText, candidates) {
-  if (candidates.length === 0) return null;
-  if (candidates.length === 1) return candidates[0];
-
-  // 下载缩略图转 base64
-  const imagePartsPromises = candidates.slice(0, 8).map(async (c, i) => {
-    try {
-      const resp = await fetch(c.thumbnail || c.url, {
-        referrerPolicy: 'no-referrer',
-        mode: 'cors',
-      });
-      if (!resp.ok) throw new Error();
-      const blob = await resp.blob();
-      if (!blob.type.startsWith('image/')) return null;
-
-      const base64 = await blobToBase64(blob);
-      return {
-        index: i,
-        base64: base64.split(',')[1],
-        mimeType: blob.type,
-        source: c.source,
-      };
-    } catch (e) {
-      return null;
-    }
-  });
-
-  const imageParts = (await Promise.all(imagePartsPromises)).filter(Boolean);
-  if (imageParts.length === 0) return candidates[0];
-
-  const prompt = `你是插图选择器。你必须从候选图片中选出最适合为以下文本配图的一张。你必须选择一张，不可以全部拒绝。
-
-评分标准（按优先级排列）：
-1. 【最重要】图片内容与文本描述的场景、事物相关
-2. 图片氛围与文本时间、情绪匹配（欢快/阴郁/紧张/浪漫，上午/下午/黄昏等）
-3. 优先选择摄影照片/高质量艺术品/插图，而非图标
-4. 不包含广告和水印
-5. 绝对禁止出现任何真人肖像
-
-重要：即使所有候选图都不完美，也必须选出最佳的一张。只要图片与文本有关联就应该选择。
-
-文本：
-"""
-${messageText.substring(0, 800)}
-"""
+// ============ 安全检查 ============
+
+const SAFETY_REASONS = {
+  nsfw: '色情 / 裸露',
+  gore: '血腥 / 暴力',
+  real_person: '真人肖像',
+};
+
+// 一次最多发 8 张（loadThumbnails 的上限），多的分批检查
+const SAFETY_BATCH = 8;
+
+/**
+ * 让看图模型逐张判断候选是否违规
+ * @returns {Promise<{checked: Set<number>, flagged: Map<number, string>}>}
+ *   checked 为成功看过的候选序号（缩略图下载失败的不在内），flagged 为违规候选序号 → 原因
+ */
+export async function checkImageSafety(candidates, signal) {
+  const checked = new Set();
+  const flagged = new Map();
+
+  for (let offset = 0; offset < candidates.length; offset += SAFETY_BATCH) {
+    const batch = await checkSafetyBatch(candidates.slice(offset, offset + SAFETY_BATCH), signal);
+    batch.checked.forEach(i => checked.add(offset + i));
+    batch.flagged.forEach((reason, i) => flagged.set(offset + i, reason));
+  }
 
-候选图片编号: ${imageParts.map(p => `${p.index}(${p.source})`).join(', ')}
+  return { checked, flagged };
+}
 
-仅输出 JSON：{"selected": 编号, "reason": "理由"}`;
+async function checkSafetyBatch(candidates, signal) {
+  const imageParts = await loadThumbnails(candidates, signal);
+  const checked = new Set(imageParts.map(p => p.index));
+  if (!imageParts.length) return { checked, flagged: new Map() };
 
-  try {
-    const response = await callAIWithImages(prompt, imageParts);
-    console.log('[AutoIllust] AI选图原始回复:', response);
-
-    // 先尝试完整 JSON 解析
-    let result = {};
-    try {
-      result = JSON.parse(response.match(/\{[\s\S]*\}/)?.[0] || '{}');
-    } catch {
-      // JSON 被截断，直接用正则提取 selected 数字
-      const m = response.match(/"selected"\s*:\s*(\d+)/);
-      if (m) result = { selected: parseInt(m[1]) };
-    }
+  const result = await callStructured('select', {
+    user: `逐张检查以下图片（编号 ${imageParts.map(p => p.index).join(', ')}，按顺序附上），严格判断是否包含：
+- nsfw: 色情、裸露、性暗示
+- gore: 血腥、尸体、伤口、暴力
+- real_person: 以真实人物面部为主体的照片（雕像、画作、背影、远处人群不算）
 
-    if (typeof result.selected === 'number' && result.selected >= 0 && result.selected < candidates.length) {
-      console.log(`[AutoIllust] AI选图: #${result.selected} - ${result.reason}`);
-      return candidates[result.selected];
-    }
+拿不准时判为违规。仅输出 JSON：{"flagged": [{"index": 编号, "reason": "nsfw 或 gore 或 real_person"}]}，都没问题时 flagged 为空数组。`,
+    images: imageParts,
+    max_tokens: 256,
+    signal,
+  }, {
+    name: 'image_safety',
+    schema: {
+      type: 'object',
+      required: ['flagged'],
+      properties: {
+        flagged: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['index', 'reason'],
+            properties: {
+              index: { type: 'integer', enum: [...checked] },
+              reason: { type: 'string', enum: Object.keys(SAFETY_REASONS) },
+            },
+          },
+        },
+      },
+    },
+  });
 
-    console.log(`[AutoIllust] AI认为都不合适: ${result.reason}`);
-    return null;
-  } catch (e) {
-    console.error('[AutoIllust] 选图失败:', e);
-    return candidates[0];
-  }
+  return {
+    checked,
+    flagged: new Map(result.flagged.map(f => [f.index, `AI 判定${SAFETY_REASONS[f.reason]}`])),
+  };
 }
 
 // ============ 工具 ============
@@ -0,0 +1,602 @@
+import { saveSettingsDebounced } from '../../../../script.js';
+import { extension_settings, getContext } from '../../../extensions.js';
+import { getMultimodalCaption } from '../../shared.js';
+import { getSettings } from './index.js';
+import { fetchWithRetry } from './queue.js';
+import { recordAIUsage } from './usage.js';
+
+// ============ AI 后端 ============
+//
+// 每个处理步骤单独选后端，设置键为 backend_<step>。
+// 后端结构:
+//   id, name
+//   fields       { base_url, api_key, model } 各自对应的共用设置键，没有的字段不写
+//   required     必填的字段，全部非空才算配置好
+//   hasVision()  接口能否传图（具体模型能不能看图见下面的「看图能力」）
+//   model()      可选，没有模型设置的后端用它给出的名字记用量和看图能力
+//   complete(request, config) → { text, usage }
+//     request: { system, user, images, temperature, max_tokens, schema, signal }
+//     usage: { input, output } token 数，后端不返回时为 null
+//     schema: { name, schema }，支持的后端用原生 JSON 模式，其余忽略（见 structured.js）
+//     images: [{ base64, mimeType, index }]，index 是图片在提示词里的编号
+//   listModels(config) 可选，返回模型 id 列表
+// config 为 { base_url, api_key, model }，由共用设置和步骤自己的设置合成，见「步骤配置」。
+
+export const STEPS = [
+  { id: 'extract', name: '关键词提取' },
+  { id: 'select', name: '看图选图' },
+];
+
+const backends = new Map();
+
+function registerBackend(backend) {
+  backends.set(backend.id, backend);
+}
+
+export function getBackends() {
+  return Array.from(backends.values());
+}
+
+export function getBackend(id) {
+  return backends.get(id) || null;
+}
+
+export function getStepBackend(step) {
+  return getBackend(getSettings()[`backend_${step}`]) || getBackend('openai');
+}
+
+// ============ 步骤配置 ============
+//
+// 关键词提取是便宜的文字任务，选图要能看图，两步可以用不同的接口、Key、模型和温度：
+//   step_configs       { '<step>|<后端 id>': { base_url, api_key, model, models } }，
+//                      按后端分开存，切换后端不会把别家的模型名带过去；留空的字段沿用共用设置
+//   temperature_<step> 留空用调用方的默认值
+// models 是这个步骤刷新得到的模型列表，只给下拉框用。
+
+function stepConfigKey(step) {
+  return `${step}|${getStepBackend(step).id}`;
+}
+
+/**
+ * 步骤自己填的设置（不含共用设置）
+ * @param {string} step
+ * @returns {{base_url?: string, api_key?: string, model?: string, models?: string[]}}
+ */
+export function getStepOverrides(step) {
+  return getSettings().step_configs?.[stepConfigKey(step)] || {};
+}
+
+/**
+ * @param {string} step
+ * @param {object} values 要改的字段，空字符串表示恢复沿用共用设置
+ */
+export function setStepOverrides(step, values) {
+  const settings = getSettings();
+  const key = stepConfigKey(step);
+  settings.step_configs ||= {};
+  const entry = { ...settings.step_configs[key], ...values };
+  for (const field of Object.keys(entry)) {
+    if (entry[field] === '') delete entry[field];
+  }
+  settings.step_configs[key] = entry;
+  saveSettingsDebounced();
+}
+
+// 后端的共用设置
+function sharedConfig(backend) {
+  const settings = getSettings();
+  return Object.fromEntries(['base_url', 'api_key', 'model'].map(field => [
+    field,
+    backend.fields?.[field] ? String(settings[backend.fields[field]] ?? '').trim() : '',
+  ]));
+}
+
+/**
+ * 某个步骤实际使用的后端和配置
+ * @param {string} step
+ * @returns {{backend: object, base_url: string, api_key: string, model: string, temperature: number|null}}
+ */
+export function getStepConfig(step) {
+  const backend = getStepBackend(step);
+  const shared = sharedConfig(backend);
+  const own = getStepOverrides(step);
+  const temperature = parseFloat(getSettings()[`temperature_${step}`]);
+
+  return {
+    backend,
+    base_url: own.base_url || shared.base_url,
+    api_key: own.api_key || shared.api_key,
+    model: own.model || shared.model || backend.model?.() || '',
+    temperature: Number.isFinite(temperature) ? temperature : null,
+  };
+}
+
+export function isStepConfigured(step) {
+  const config = getStepConfig(step);
+  return config.backend.required.every(field => config[field]);
+}
+
+/**
+ * 用某个步骤选定的后端生成文本
+ * @param {string} step STEPS 里的 id
+ * @param {object} request 见文件开头
+ * @returns {Promise<string>}
+ */
+export async function callBackend(step, request) {
+  const config = getStepConfig(step);
+  const { backend } = config;
+  if (!isStepConfigured(step)) {
+    throw new Error(`请先配置 ${backend.name}`);
+  }
+  if (request.images?.length && !backend.hasVision()) {
+    throw new Error(`${backend.name} 不支持看图`);
+  }
+
+  const { text, usage } = await backend.complete({
+    temperature: 0.1,
+    max_tokens: 256,
+    images: [],
+    ...request,
+    ...(config.temperature !== null ? { temperature: config.temperature } : {}),
+  }, config);
+
+  recordAIUsage(config.model, usage, request.images?.length || 0);
+  return text;
+}
+
+// ============ 看图能力 ============
+//
+// 后端能传图不代表选中的模型能看图。按 后端|模型 记录：
+//   vision_overrides  用户手动指定，优先
+//   vision_detected   检测结果，来自「检测」按钮或选图时接口因图片报错
+// 两者都没有时当作能看图。
+
+function visionKey(step) {
+  const { backend, model } = getStepConfig(step);
+  return `${backend.id}|${model}`;
+}
+
+/**
+ * 某个步骤当前的模型能否看图
+ * @param {string} step
+ * @returns {boolean}
+ */
+export function stepHasVision(step) {
+  const { supported, override, detected } = getVisionState(step);
+  if (!supported) return false;
+  return override ?? detected ?? true;
+}
+
+/**
+ * @param {string} step
+ * @returns {{key: string, supported: boolean, override: boolean|undefined, detected: boolean|undefined}}
+ */
+export function getVisionState(step) {
+  const settings = getSettings();
+  const key = visionKey(step);
+  return {
+    key,
+    supported: getStepBackend(step).hasVision(),
+    override: settings.vision_overrides?.[key],
+    detected: settings.vision_detected?.[key],
+  };
+}
+
+// value 为 undefined 时恢复自动
+export function setVisionOverride(step, value) {
+  const settings = getSettings();
+  const key = visionKey(step);
+  settings.vision_overrides ||= {};
+  if (value === undefined) delete settings.vision_overrides[key];
+  else settings.vision_overrides[key] = value;
+  saveSettingsDebounced();
+}
+
+export function setVisionDetected(step, value) {
+  const settings = getSettings();
+  settings.vision_detected ||= {};
+  settings.vision_detected[visionKey(step)] = value;
+  saveSettingsDebounced();
+}
+
+// 接口因为请求里带图而报的 4xx
+export function isVisionError(error) {
+  const message = String(error?.message || '');
+  return /\b4\d\d\b/.test(message) && /image|vision|multimodal|图片|图像/i.test(message);
+}
+
+/**
+ * 发一张纯红色小图，问它是什么颜色，检测步骤的模型能否看图，结果会记下来
+ * @param {string} step
+ * @returns {Promise<boolean>}
+ * @throws 与看图无关的错误（网络、鉴权等）照常抛出
+ */
+export async function detectVision(step) {
+  const canvas = document.createElement('canvas');
+  canvas.width = 16;
+  canvas.height = 16;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ff0000';
+  ctx.fillRect(0, 0, 16, 16);
+  const base64 = canvas.toDataURL('image/png').split(',')[1];
+
+  let canSee;
+  try {
+    const text = await callBackend(step, {
+      user: 'What is the colour of this image? Answer with one English word.',
+      images: [{ base64, mimeType: 'image/png', index: 0 }],
+      max_tokens: 16,
+    });
+    canSee = /red|红/i.test(text);
+    console.log(`[AutoIllust] 看图检测回复: ${text}`);
+  } catch (e) {
+    if (!isVisionError(e)) throw e;
+    canSee = false;
+  }
+
+  setVisionDetected(step, canSee);
+  return canSee;
+}
+
+/**
+ * 测试某个步骤的连接，并检查这一步需要的能力：选图要求模型真能看图
+ * @param {string} step
+ * @returns {Promise<{ok: boolean, message: string}>} 连得上但能力不够时 ok 为 false
+ * @throws 连接失败
+ */
+export async function testStep(step) {
+  const reply = await callBackend(step, { user: 'Reply with OK.', max_tokens: 16 });
+  if (step !== 'select') return { ok: true, message: `回复: ${reply.trim().substring(0, 20)}` };
+
+  if (!getStepBackend(step).hasVision()) {
+    return { ok: false, message: '接口不能传图，将用文字选图' };
+  }
+  return await detectVision(step)
+    ? { ok: true, message: '能看图' }
+    : { ok: false, message: '模型不能看图，将用文字选图' };
+}
+
+/**
+ * 用后端的共用设置获取模型列表
+ * @param {string} backendId
+ * @returns {Promise<string[]>}
+ */
+export async function fetchModels(backendId = 'openai') {
+  const backend = getBackend(backendId);
+  if (!backend?.listModels) return [];
+  return (await backend.listModels(sharedConfig(backend))).filter(Boolean).sort();
+}
+
+/**
+ * 用某个步骤实际使用的接口和 Key 获取模型列表
+ * @param {string} step
+ * @returns {Promise<string[]>}
+ */
+export async function fetchStepModels(step) {
+  const config = getStepConfig(step);
+  if (!config.backend.listModels) return [];
+  return (await config.backend.listModels(config)).filter(Boolean).sort();
+}
+
+// ============ 工具 ============
+
+function trimBaseUrl(url) {
+  return url.replace(/\/+$/, '');
+}
+
+async function readError(resp, name) {
+  const err = await resp.json().catch(() => ({}));
+  return new Error(`${name} API ${resp.status}: ${err.error?.message || resp.statusText}`);
+}
+
+// ============ OpenAI 兼容 ============
+
+// 不支持 json_schema 的 base URL + 模型，报过一次错后不再发
+const noJsonSchema = new Set();
+
+function openaiBaseUrl(config) {
+  // 规范化 base URL
+  let baseUrl = trimBaseUrl(config.base_url);
+  if (!baseUrl.endsWith('/v1')) {
+    baseUrl += '/v1';
+  }
+  return baseUrl;
+}
+
+registerBackend({
+  id: 'openai',
+  name: 'OpenAI 兼容',
+  fields: { base_url: 'ai_base_url', api_key: 'ai_api_key', model: 'ai_model' },
+  required: ['base_url', 'api_key', 'model'],
+  hasVision: () => true,
+
+  async complete({ system, user, images, temperature, max_tokens, schema, signal }, config) {
+    const schemaKey = `${config.base_url}|${config.model}`;
+    const useSchema = schema && !noJsonSchema.has(schemaKey);
+
+    // 构建多模态 content
+    const content = images.length
+      ? [
+        { type: 'text', text: user },
+        ...images.map(img => ({
+          type: 'image_url',
+          image_url: {
+            url: `data:${img.mimeType};base64,${img.base64}`,
+            detail: 'low',  // 省 token
+          },
+        })),
+      ]
+      : user;
+
+    const resp = await fetchWithRetry(`${openaiBaseUrl(config)}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${config.api_key}`,
+      },
+      body: JSON.stringify({
+        model: config.model,
+        messages: [
+          ...(system ? [{ role: 'system', content: system }] : []),
+          { role: 'user', content },
+        ],
+        temperature,
+        max_tokens,
+        ...(useSchema ? {
+          response_format: {
+            type: 'json_schema',
+            json_schema: { name: schema.name, schema: schema.schema },
+          },
+        } : {}),
+      }),
+    }, { signal, label: 'AI' });
+
+    if (!resp.ok) {
+      const error = await readError(resp, 'AI');
+      // 很多中转 / 本地服务不认 response_format，去掉再试
+      if (useSchema && resp.status >= 400 && resp.status < 500 && /response_format|json_schema|schema/i.test(error.message)) {
+        console.warn('[AutoIllust] 接口不支持 json_schema，改用普通输出:', error.message);
+        noJsonSchema.add(schemaKey);
+        return await this.complete({ system, user, images, temperature, max_tokens, signal }, config);
+      }
+      throw error;
+    }
+
+    const data = await resp.json();
+    return {
+      text: data.choices?.[0]?.message?.content || '',
+      usage: data.usage ? { input: data.usage.prompt_tokens, output: data.usage.completion_tokens } : null,
+    };
+  },
+
+  async listModels(config) {
+    if (!config.base_url || !config.api_key) {
+      throw new Error('请先填写 Base URL 和 API Key');
+    }
+
+    const resp = await fetch(`${openaiBaseUrl(config)}/models`, {
+      headers: {
+        'Authorization': `Bearer ${config.api_key}`,
+      },
+    });
+
+    if (!resp.ok) {
+      throw new Error(`获取模型列表失败: ${resp.status}`);
+    }
+
+    const data = await resp.json();
+    return (data.data || data || []).map(m => m.id || m.name || m);
+  },
+});
+
+// ============ Anthropic ============
+
+// Claude 只接受这几种图片格式
+const ANTHROPIC_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// 其他格式（avif、bmp 等）转成 PNG 再发，不能直接丢：调用方按顺序给图片编了号
+async function toAnthropicImage(img) {
+  if (ANTHROPIC_IMAGE_TYPES.includes(img.mimeType)) return img;
+
+  const bytes = Uint8Array.from(atob(img.base64), c => c.charCodeAt(0));
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(new Blob([bytes], { type: img.mimeType }));
+  } catch {
+    throw new Error(`Claude 不支持 ${img.mimeType || '未知格式'} 图片，且无法转换为 PNG`);
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { ...img, base64: canvas.toDataURL('image/png').split(',')[1], mimeType: 'image/png' };
+}
+
+function anthropicHeaders(config) {
+  return {
+    'Content-Type': 'application/json',
+    'x-api-key': config.api_key,
+    'anthropic-version': '2023-06-01',
+    // 浏览器直连需要显式声明
+    'anthropic-dangerous-direct-browser-access': 'true',
+  };
+}
+
+function anthropicBaseUrl(config) {
+  return trimBaseUrl(config.base_url || 'https://api.anthropic.com');
+}
+
+registerBackend({
+  id: 'anthropic',
+  name: 'Claude (Anthropic)',
+  fields: { base_url: 'anthropic_base_url', api_key: 'anthropic_api_key', model: 'anthropic_model' },
+  required: ['api_key', 'model'],
+  hasVision: () => true,
+
+  async complete({ system, user, images, temperature, max_tokens, signal }, config) {
+    const converted = await Promise.all(images.map(toAnthropicImage));
+    const content = [
+      { type: 'text', text: user },
+      ...converted.map(img => ({
+        type: 'image',
+        source: { type: 'base64', media_type: img.mimeType, data: img.base64 },
+      })),
+    ];
+
+    const resp = await fetchWithRetry(`${anthropicBaseUrl(config)}/v1/messages`, {
+      method: 'POST',
+      headers: anthropicHeaders(config),
+      body: JSON.stringify({
+        model: config.model,
+        ...(system ? { system } : {}),
+        messages: [{ role: 'user', content }],
+        temperature,
+        max_tokens,
+      }),
+    }, { signal, label: 'Claude' });
+
+    if (!resp.ok) throw await readError(resp, 'Claude');
+
+    const data = await resp.json();
+    return {
+      text: (data.content || [])
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      usage: data.usage ? { input: data.usage.input_tokens, output: data.usage.output_tokens } : null,
+    };
+  },
+
+  async listModels(config) {
+    if (!config.api_key) throw new Error('请先填写 API Key');
+
+    const resp = await fetch(`${anthropicBaseUrl(config)}/v1/models?limit=100`, { headers: anthropicHeaders(config) });
+    if (!resp.ok) throw new Error(`获取模型列表失败: ${resp.status}`);
+
+    const data = await resp.json();
+    return (data.data || []).map(m => m.id);
+  },
+});
+
+// ============ Gemini ============
+
+function geminiBaseUrl(config) {
+  return trimBaseUrl(config.base_url || 'https://generativelanguage.googleapis.com');
+}
+
+registerBackend({
+  id: 'gemini',
+  name: 'Gemini',
+  fields: { base_url: 'gemini_base_url', api_key: 'gemini_api_key', model: 'gemini_model' },
+  required: ['api_key', 'model'],
+  hasVision: () => true,
+
+  async complete({ system, user, images, temperature, max_tokens, schema, signal }, config) {
+    const model = encodeURIComponent(config.model.replace(/^models\//, ''));
+
+    const resp = await fetchWithRetry(`${geminiBaseUrl(config)}/v1beta/models/${model}:generateContent`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': config.api_key,
+      },
+      body: JSON.stringify({
+        ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+        contents: [{
+          role: 'user',
+          parts: [
+            { text: user },
+            ...images.map(img => ({ inline_data: { mime_type: img.mimeType, data: img.base64 } })),
+          ],
+        }],
+        generationConfig: {
+          temperature,
+          maxOutputTokens: max_tokens,
+          ...(schema ? { responseMimeType: 'application/json' } : {}),
+        },
+      }),
+    }, { signal, label: 'Gemini' });
+
+    if (!resp.ok) throw await readError(resp, 'Gemini');
+
+    const data = await resp.json();
+    const meta = data.usageMetadata;
+    return {
+      text: (data.candidates?.[0]?.content?.parts || [])
+        .map(part => part.text || '')
+        .join(''),
+      usage: meta ? { input: meta.promptTokenCount, output: meta.candidatesTokenCount } : null,
+    };
+  },
+
+  async listModels(config) {
+    if (!config.api_key) throw new Error('请先填写 API Key');
+
+    const resp = await fetch(`${geminiBaseUrl(config)}/v1beta/models?pageSize=1000`, {
+      headers: { 'x-goog-api-key': config.api_key },
+    });
+    if (!resp.ok) throw new Error(`获取模型列表失败: ${resp.status}`);
+
+    const data = await resp.json();
+    return (data.models || [])
+      .filter(m => m.supportedGenerationMethods?.includes('generateContent'))
+      .map(m => m.name.replace(/^models\//, ''));
+  },
+});
+
+// ============ SillyTavern 当前连接 ============
+//
+// 文本走 generateRaw（不带聊天上下文的静默生成）。
+// 看图借用「图片描述」扩展的多模态设置：先逐张描述，再把描述附在提示词后面交给文本模型。
+
+function captionUsesMultimodal() {
+  return extension_settings.caption?.source === 'multimodal';
+}
+
+const CAPTION_PROMPT = 'Describe this image in one or two sentences: subject, setting, style (photo / painting / illustration / icon), and any visible watermark or text.';
+
+registerBackend({
+  id: 'st',
+  name: 'SillyTavern 当前连接',
+  required: [],
+  hasVision: captionUsesMultimodal,
+  model: () => 'SillyTavern',
+
+  async complete({ system, user, images, max_tokens, schema, signal }) {
+    const context = getContext();
+    if (typeof context.generateRaw !== 'function') {
+      throw new Error('当前 SillyTavern 版本不支持静默生成');
+    }
+
+    let prompt = user;
+    if (images.length) {
+      const captions = [];
+      for (const [i, img] of images.entries()) {
+        signal?.throwIfAborted();
+        try {
+          const caption = await getMultimodalCaption(`data:${img.mimeType};base64,${img.base64}`, CAPTION_PROMPT);
+          captions.push(`图片 ${img.index ?? i}: ${caption}`);
+        } catch (e) {
+          console.warn('[AutoIllust] 图片描述失败:', e);
+        }
+      }
+      if (!captions.length) throw new Error('图片描述扩展没有返回结果，请检查其多模态设置');
+      prompt += `\n\n以下是各候选图片的文字描述：\n${captions.join('\n')}`;
+    }
+
+    // generateRaw 不接受 AbortSignal，只能在返回后丢弃结果
+    const result = await context.generateRaw({
+      prompt,
+      systemPrompt: system || '',
+      responseLength: max_tokens,
+      // 新版 SillyTavern 支持时会转给 Chat Completion 后端，旧版忽略
+      ...(schema ? { jsonSchema: { name: schema.name, value: schema.schema, strict: false } } : {}),
+    });
+    signal?.throwIfAborted();
+
+    // 静默生成拿不到用量，只计次数
+    return { text: String(result || ''), usage: null };
+  },
+});
@@ -0,0 +1,210 @@
+import { getContext } from '../../../extensions.js';
+import { getSettings } from './index.js';
+
+// ============ 本地图片缓存（IndexedDB） ============
+//
+// 每条记录: { chatId, url, blob, size, created }，主键 [chatId, url]
+// 同一张图在不同聊天里各存一份，这样按聊天清理时不会误删别的聊天的图
+
+const DB_NAME = 'AutoIllustImageCache';
+const STORE_NAME = 'images';
+
+let dbPromise = null;
+
+// 已生成的 object URL，避免重复创建
+const objectUrls = new Map();
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: ['chatId', 'url'] });
+        store.createIndex('chatId', 'chatId');
+        store.createIndex('created', 'created');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+// 把一次 IndexedDB 操作包装成 Promise
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(result?.result ?? result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function currentChatId() {
+  return getContext().getCurrentChatId?.() || '';
+}
+
+// ============ 下载 + 缩小 ============
+
+async function downloadImage(url) {
+  try {
+    const resp = await fetch(url, { referrerPolicy: 'no-referrer', mode: 'cors' });
+    if (resp.ok) return await resp.blob();
+  } catch {
+    // 跨域失败，走下面的代理
+  }
+
+  // SillyTavern 自带的 CORS 代理（需要在 config.yaml 里开启 enableCorsProxy）
+  const resp = await fetch(`/proxy/${url}`);
+  if (!resp.ok) throw new Error(`下载失败: ${resp.status}`);
+  return await resp.blob();
+}
+
+async function downscale(blob, maxWidth) {
+  if (!maxWidth) return blob;
+
+  const bitmap = await createImageBitmap(blob);
+  if (bitmap.width <= maxWidth) {
+    bitmap.close();
+    return blob;
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.width = maxWidth;
+  canvas.height = Math.round(bitmap.height * maxWidth / bitmap.width);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return await new Promise(resolve => canvas.toBlob(b => resolve(b || blob), 'image/webp', 0.85));
+}
+
+// ============ 读写 ============
+
+export async function cacheImage(url, chatId = currentChatId()) {
+  const existing = await withStore('readonly', store => store.get([chatId, url]));
+  if (existing) return;
+
+  const raw = await downloadImage(url);
+  if (!raw.type.startsWith('image/')) throw new Error(`不是图片: ${raw.type}`);
+
+  const blob = await downscale(raw, getSettings().cache_max_width);
+
+  await withStore('readwrite', store => store.put({
+    chatId,
+    url,
+    blob,
+    size: blob.size,
+    created: Date.now(),
+  }));
+}
+
+// 插入配图时调用，失败不影响显示
+export async function cacheImages(images) {
+  if (!getSettings().cache_enabled) return;
+
+  const chatId = currentChatId();
+  for (const image of images) {
+    try {
+      await cacheImage(image.url, chatId);
+    } catch (e) {
+      console.warn('[AutoIllust] 缓存图片失败:', image.url, e);
+    }
+  }
+}
+
+/**
+ * 取缓存的图片
+ * @param {string} url 原图 URL
+ * @returns {Promise<string|null>} object URL，没有缓存时为 null
+ */
+export async function getCachedImageUrl(url, chatId = currentChatId()) {
+  const key = `${chatId}|${url}`;
+  if (objectUrls.has(key)) return objectUrls.get(key);
+
+  try {
+    const entry = await withStore('readonly', store => store.get([chatId, url]));
+    if (!entry?.blob) return null;
+
+    const objectUrl = URL.createObjectURL(entry.blob);
+    objectUrls.set(key, objectUrl);
+    return objectUrl;
+  } catch (e) {
+    console.warn('[AutoIllust] 读取缓存失败:', e);
+    return null;
+  }
+}
+
+// ============ 统计 / 清理 ============
+
+async function getAllEntries() {
+  return await withStore('readonly', store => store.getAll());
+}
+
+/**
+ * @returns {Promise<{count: number, size: number, chats: {chatId: string, count: number, size: number}[]}>}
+ */
+export async function getCacheStats() {
+  const entries = await getAllEntries();
+  const chats = {};
+
+  for (const e of entries) {
+    const chat = chats[e.chatId] ||= { chatId: e.chatId, count: 0, size: 0 };
+    chat.count++;
+    chat.size += e.size || 0;
+  }
+
+  return {
+    count: entries.length,
+    size: entries.reduce((sum, e) => sum + (e.size || 0), 0),
+    chats: Object.values(chats).sort((a, b) => b.size - a.size),
+  };
+}
+
+function revokeObjectUrls(predicate) {
+  for (const [key, objectUrl] of objectUrls) {
+    if (predicate(key)) {
+      URL.revokeObjectURL(objectUrl);
+      objectUrls.delete(key);
+    }
+  }
+}
+
+// 删除 N 天前缓存的图片，返回删除数量
+export async function pruneCache(days) {
+  const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+  const entries = (await getAllEntries()).filter(e => e.created < cutoff);
+
+  await withStore('readwrite', store => {
+    entries.forEach(e => store.delete([e.chatId, e.url]));
+  });
+  const removed = new Set(entries.map(e => `${e.chatId}|${e.url}`));
+  revokeObjectUrls(key => removed.has(key));
+
+  return entries.length;
+}
+
+export async function clearChatCache(chatId = currentChatId()) {
+  const entries = (await getAllEntries()).filter(e => e.chatId === chatId);
+
+  await withStore('readwrite', store => {
+    entries.forEach(e => store.delete([e.chatId, e.url]));
+  });
+  revokeObjectUrls(key => key.startsWith(`${chatId}|`));
+
+  return entries.length;
+}
+
+export async function clearAllCache() {
+  await withStore('readwrite', store => store.clear());
+  revokeObjectUrls(() => true);
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
@@ -0,0 +1,159 @@
+import { getContext } from '../../../extensions.js';
+import { SlashCommandParser } from '../../../slash-commands/SlashCommandParser.js';
+import { SlashCommand } from '../../../slash-commands/SlashCommand.js';
+import { ARGUMENT_TYPE, SlashCommandArgument, SlashCommandNamedArgument } from '../../../slash-commands/SlashCommandArgument.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { getProviders, formatCredit } from './search.js';
+import { getIllust } from './store.js';
+import { illustrateMessage, illustrateWithQuery, clearMessageIllust } from './index.js';
+
+// ============ 斜杠命令 ============
+// 配图命令都返回图片 URL（多张时为第一张），没有图时返回空字符串，方便在 STscript 里串联
+
+function resolveMessageId(value) {
+  const chat = getContext().chat || [];
+  const raw = String(value ?? '').trim();
+  const messageId = raw === '' ? chat.length - 1 : Number(raw);
+
+  if (!Number.isInteger(messageId) || !chat[messageId]) {
+    toastr.warning(`消息不存在: ${raw || '(最后一条)'}`, 'Auto Illustration');
+    return null;
+  }
+  return messageId;
+}
+
+// 当前聊天所有配图的署名，按消息顺序（只看各消息当前的 swipe）
+function buildAttributionReport() {
+  const chat = getContext().chat || [];
+  const sections = [];
+  let count = 0;
+
+  chat.forEach((message, messageId) => {
+    for (const image of getIllust(message)?.images || []) {
+      count++;
+      sections.push(`#${messageId}\n${formatCredit(image)}`);
+    }
+  });
+
+  return count ? `配图署名（共 ${count} 张）\n\n${sections.join('\n\n')}` : '';
+}
+
+const mesidArgument = () => SlashCommandArgument.fromProps({
+  description: '消息编号，默认最后一条',
+  typeList: [ARGUMENT_TYPE.NUMBER],
+  isRequired: false,
+});
+
+export function registerSlashCommands() {
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'illust',
+    callback: async (_, mesid) => {
+      const messageId = resolveMessageId(mesid);
+      if (messageId === null) return '';
+
+      const images = await illustrateMessage(messageId);
+      if (!images.length) toastr.info('没有找到合适的配图', 'Auto Illustration');
+      return images[0]?.url || '';
+    },
+    unnamedArgumentList: [mesidArgument()],
+    returns: '图片 URL',
+    helpString: `
+      <div>为指定消息运行完整配图流程（包括用户消息），已有配图会被替换。</div>
+      <div><strong>示例：</strong><code>/illust 12</code></div>`,
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'illust-search',
+    callback: async (args, mesid) => {
+      const query = String(args.query ?? '').trim();
+      if (!query) {
+        toastr.warning('请提供 query=关键词', 'Auto Illustration');
+        return '';
+      }
+
+      const messageId = resolveMessageId(mesid);
+      if (messageId === null) return '';
+
+      const image = await illustrateWithQuery(messageId, {
+        query,
+        source: args.source || 'both',
+        entity: String(args.entity) === 'true',
+      });
+      if (!image) toastr.info(`"${query}" 没有找到合适的配图`, 'Auto Illustration');
+      return image?.url || '';
+    },
+    namedArgumentList: [
+      SlashCommandNamedArgument.fromProps({
+        name: 'query',
+        description: '搜索关键词',
+        typeList: [ARGUMENT_TYPE.STRING],
+        isRequired: true,
+      }),
+      SlashCommandNamedArgument.fromProps({
+        name: 'source',
+        description: '搜索源，both 表示全部可用来源',
+        typeList: [ARGUMENT_TYPE.STRING],
+        defaultValue: 'both',
+        enumList: ['both', ...getProviders().map(p => p.id)],
+      }),
+      SlashCommandNamedArgument.fromProps({
+        name: 'entity',
+        description: '关键词是具体的人物、地点、建筑或艺术品，先查 Wikidata 条目图',
+        typeList: [ARGUMENT_TYPE.BOOLEAN],
+        defaultValue: 'false',
+      }),
+    ],
+    unnamedArgumentList: [mesidArgument()],
+    returns: '图片 URL',
+    helpString: `
+      <div>用指定关键词搜索，选出一张图追加到消息的配图中。</div>
+      <div><strong>示例：</strong><code>/illust-search query="Forbidden City" source=wiki entity=true</code></div>`,
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'illust-clear',
+    callback: async (_, mesid) => {
+      const messageId = resolveMessageId(mesid);
+      if (messageId === null) return '';
+
+      const removed = await clearMessageIllust(messageId);
+      return removed[0]?.url || '';
+    },
+    unnamedArgumentList: [mesidArgument()],
+    returns: '被移除的图片 URL',
+    helpString: `
+      <div>移除消息的配图。</div>
+      <div><strong>示例：</strong><code>/illust-clear</code></div>`,
+  }));
+
+  SlashCommandParser.addCommandObject(SlashCommand.fromProps({
+    name: 'illust-credits',
+    callback: async (args) => {
+      const report = buildAttributionReport();
+      if (!report) {
+        toastr.info('当前聊天没有配图', 'Auto Illustration');
+        return '';
+      }
+
+      if (String(args.quiet) !== 'true') {
+        const content = $('<div style="white-space: pre-wrap; text-align: left; user-select: text;"></div>').text(report);
+        await callGenericPopup(content, POPUP_TYPE.TEXT, '', { wide: true, allowVerticalScrolling: true });
+      }
+      return report;
+    },
+    namedArgumentList: [
+      SlashCommandNamedArgument.fromProps({
+        name: 'quiet',
+        description: '不弹窗，只返回文本',
+        typeList: [ARGUMENT_TYPE.BOOLEAN],
+        defaultValue: 'false',
+      }),
+    ],
+    returns: '署名报告文本',
+    helpString: `
+      <div>列出当前聊天所有配图的作者、授权和来源页，转载前核对署名用。</div>
+      <div><strong>示例：</strong><code>/illust-credits</code></div>`,
+  }));
+
+  console.log('[AutoIllust] 斜杠命令已注册');
+}
@@ -0,0 +1,163 @@
+import { getSettings } from './index.js';
+import { checkImageSafety } from './ai.js';
+import { stepHasVision } from './backends.js';
+import { isAbortError } from './queue.js';
+import { isOpenLicense } from './search.js';
+
+// ============ 候选图过滤 ============
+//
+// 1. 域名：黑名单 / 白名单，支持通配符；可选「只用白名单域名」
+// 2. 授权：open_license_only 时只留 CC0、公有领域和 CC BY
+// 3. 安全：safety_filter 为 heuristic 时按标题和链接里的关键词过滤，
+//    为 vision 时再让看图模型逐张检查（色情、血腥、真人肖像）
+// 被过滤的候选记入 rejectionLog，设置面板里可以查看，方便调整规则。
+
+// 常见水印图库
+export const DEFAULT_BLOCKLIST = [
+  'shutterstock.com', 'gettyimages.*', 'istockphoto.com',
+  'alamy.com', 'depositphotos.com', '123rf.com',
+  'dreamstime.com', 'stock.adobe.com', 'bigstockphoto.com',
+  'thinkstockphotos.com', 'dissolve.com', 'pond5.com',
+  'vectorstock.com', 'canstockphoto.com',
+];
+
+const MAX_LOG = 100;
+const rejectionLog = [];
+
+function logRejection(candidate, reason) {
+  console.log(`[AutoIllust] 过滤候选图（${reason}）:`, candidate.url);
+  rejectionLog.unshift({
+    time: Date.now(),
+    reason,
+    url: candidate.url,
+    title: candidate.title || '',
+    source: candidate.source,
+    query: candidate.query || '',
+  });
+  rejectionLog.length = Math.min(rejectionLog.length, MAX_LOG);
+}
+
+export function getRejectionLog() {
+  return rejectionLog;
+}
+
+export function clearRejectionLog() {
+  rejectionLog.length = 0;
+}
+
+// ============ 域名 ============
+
+// 规则匹配域名本身及其子域名；* 匹配任意字符，如 gettyimages.*、*stock*
+function compilePattern(pattern) {
+  const p = pattern.trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+  if (!p) return null;
+
+  const escaped = p.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`(^|\\.)${escaped}$`);
+}
+
+function compileList(list) {
+  return (list || []).map(compilePattern).filter(Boolean);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return '';
+  }
+}
+
+// 候选图相关的所有域名：图片地址、来源页面、搜索源给的 domain 字段
+function hostsOf(candidate) {
+  return [
+    hostOf(candidate.url),
+    hostOf(candidate.link),
+    String(candidate.domain || '').toLowerCase(),
+  ].filter(Boolean);
+}
+
+/**
+ * 按域名规则检查
+ * @returns {string} 被拦下的原因，通过时为空字符串
+ */
+export function checkDomains(candidate) {
+  const settings = getSettings();
+  const hosts = hostsOf(candidate);
+  const allow = compileList(settings.domain_allowlist);
+
+  // 白名单优先于黑名单
+  const allowed = hosts.some(host => allow.some(re => re.test(host)));
+  if (allowed) return '';
+
+  if (settings.domain_allowlist_only) return '不在白名单';
+
+  const block = compileList(settings.domain_blocklist);
+  const blockedHost = hosts.find(host => block.some(re => re.test(host)));
+  return blockedHost ? `域名黑名单: ${blockedHost}` : '';
+}
+
+// ============ 授权 ============
+
+function checkLicense(candidate) {
+  if (!getSettings().open_license_only || isOpenLicense(candidate.license)) return '';
+  return candidate.license ? `授权不符: ${candidate.license}` : '授权不明';
+}
+
+// ============ 安全：关键词 ============
+
+const UNSAFE_PATTERNS = [
+  { reason: '疑似色情', re: /\b(nsfw|nude|nudity|naked|porn|xxx|erotic|hentai|lingerie|topless)\b|裸体|色情|情色/i },
+  { reason: '疑似血腥', re: /\b(gore|gory|corpse|dead body|mutilat\w*|autopsy|decapitat\w*|bloody wound)\b|尸体|血腥|断肢/i },
+  { reason: '疑似真人肖像', re: /\b(headshot|selfie|red carpet|celebrity|portrait of (a )?(young |beautiful )?(man|woman|girl|boy))\b|明星|写真|自拍/i },
+];
+
+function checkHeuristics(candidate) {
+  const text = [candidate.title, candidate.url, candidate.link].filter(Boolean).join(' ');
+  return UNSAFE_PATTERNS.find(p => p.re.test(text))?.reason || '';
+}
+
+// ============ 入口 ============
+
+/**
+ * 过滤候选图，AI 生成的图不过滤
+ * @param {object[]} candidates
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<object[]>}
+ */
+export async function filterCandidates(candidates, signal) {
+  const settings = getSettings();
+  const safety = settings.safety_filter;
+
+  let kept = candidates.filter((c) => {
+    if (c.source === 'generated') return true;
+    const reason = checkDomains(c) || checkLicense(c) || (safety !== 'off' ? checkHeuristics(c) : '');
+    if (reason) logRejection(c, reason);
+    return !reason;
+  });
+
+  if (safety !== 'vision' || !kept.length) return kept;
+
+  if (!stepHasVision('select')) {
+    console.warn('[AutoIllust] 选图后端不能看图，安全检查只用关键词规则');
+    return kept;
+  }
+
+  const toCheck = kept.filter(c => c.source !== 'generated');
+  try {
+    const { checked, flagged } = await checkImageSafety(toCheck, signal);
+    kept = kept.filter((c) => {
+      if (c.source === 'generated') return true;
+      const index = toCheck.indexOf(c);
+      // 严格模式：没能看到的图（缩略图下载失败）也不用
+      const reason = flagged.get(index) || (checked.has(index) ? '' : '未能通过安全检查');
+      if (reason) logRejection(c, reason);
+      return !reason;
+    });
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.warn('[AutoIllust] AI 安全检查失败，只用关键词规则:', e);
+  }
+
+  return kept;
+}
@@ -0,0 +1,133 @@
+import { getContext } from '../../../extensions.js';
+import { saveBase64AsFile } from '../../../utils.js';
+import { getSettings } from './index.js';
+import { fetchWithRetry } from './queue.js';
+import { recordAIUsage } from './usage.js';
+
+// ============ AI 生图 ============
+//
+// gen_mode:
+//   off       不生图
+//   fallback  搜不到合适的图时生成一张
+//   primary   直接生图，失败再走搜索
+//   candidate 生成一张放进候选，和搜索结果一起让 AI 选
+// gen_backend:
+//   st        SillyTavern 自带的图片生成扩展（/sd 命令）
+//   openai    OpenAI 兼容的 /v1/images/generations，和关键词提取共用 ai_base_url
+
+export function buildImagePrompt(scene, queries = []) {
+  const settings = getSettings();
+  const subject = scene || queries.map(q => q.query).join(', ');
+  return [subject, settings.gen_style].filter(Boolean).join(', ');
+}
+
+async function generateWithSillyTavern(prompt) {
+  const context = getContext();
+  if (typeof context.executeSlashCommandsWithOptions !== 'function') {
+    throw new Error('当前 SillyTavern 版本不支持调用斜杠命令');
+  }
+
+  // quiet=true 只返回图片路径，不往聊天里发消息；| 和 {{ 会被当成命令语法，先去掉
+  const safePrompt = prompt.replace(/\|/g, ',').replace(/[{}]/g, '');
+  const result = await context.executeSlashCommandsWithOptions(`/sd quiet=true ${safePrompt}`, {
+    handleParserErrors: false,
+    handleExecutionErrors: false,
+  });
+
+  const path = String(result?.pipe || '').trim();
+  if (!path) throw new Error('图片生成扩展没有返回图片，请检查其是否已配置');
+  return path;
+}
+
+async function generateWithOpenAI(prompt, signal) {
+  const settings = getSettings();
+
+  if (!settings.ai_base_url || !settings.ai_api_key) {
+    throw new Error('请先配置 AI 的 Base URL 和 API Key');
+  }
+
+  let baseUrl = settings.ai_base_url.replace(/\/+$/, '');
+  if (!baseUrl.endsWith('/v1')) {
+    baseUrl += '/v1';
+  }
+
+  const resp = await fetchWithRetry(`${baseUrl}/images/generations`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${settings.ai_api_key}`,
+    },
+    body: JSON.stringify({
+      model: settings.gen_model,
+      prompt,
+      n: 1,
+      size: settings.gen_size,
+    }),
+  }, { signal, retries: 0, label: '生图' });
+
+  if (!resp.ok) {
+    const err = await resp.json().catch(() => ({}));
+    throw new Error(`生图 API ${resp.status}: ${err.error?.message || resp.statusText}`);
+  }
+
+  const data = await resp.json();
+  // gpt-image 系列会返回 token 用量，dall-e 没有
+  recordAIUsage(settings.gen_model, data.usage ? { input: data.usage.input_tokens, output: data.usage.output_tokens } : null);
+
+  const item = data.data?.[0];
+  if (item?.b64_json) return await saveGenerated(item.b64_json);
+  if (!item?.url) throw new Error('生图 API 没有返回图片');
+
+  // 返回的 URL 通常几小时后就失效，尽量存一份到本地
+  try {
+    const imgResp = await fetch(item.url, { signal });
+    const blob = await imgResp.blob();
+    const dataUrl = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.readAsDataURL(blob);
+    });
+    return await saveGenerated(dataUrl.split(',')[1]);
+  } catch (e) {
+    console.warn('[AutoIllust] 生成图保存失败，使用临时链接:', e);
+    return item.url;
+  }
+}
+
+// 存到 SillyTavern 的 user/images 目录
+async function saveGenerated(base64) {
+  const context = getContext();
+  const folder = context.name2 || 'auto-illustration';
+  return await saveBase64AsFile(base64, folder, `auto-illust-${Date.now()}`, 'png');
+}
+
+/**
+ * 根据场景描述生成一张图
+ * @param {string} prompt 生图提示词
+ * @param {string} query 标注里显示的关键词
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<object>} 和搜索结果相同结构的图片对象，source 为 'generated'
+ */
+export async function generateImage(prompt, query = '', signal) {
+  const settings = getSettings();
+  console.log('[AutoIllust] 生图:', prompt);
+
+  const url = settings.gen_backend === 'openai'
+    ? await generateWithOpenAI(prompt, signal)
+    : await generateWithSillyTavern(prompt);
+
+  // SillyTavern 生图扩展的尺寸在它自己的设置里，拿不到
+  const [width, height] = settings.gen_backend === 'openai'
+    ? String(settings.gen_size || '').split('x').map(Number)
+    : [];
+
+  return {
+    url,
+    thumbnail: url,
+    title: prompt,
+    source: 'generated',
+    query,
+    width: width || 0,
+    height: height || 0,
+  };
+}
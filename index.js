@@ -1,8 +1,24 @@
 import { eventSource, event_types, saveSettingsDebounced } from '../../../../script.js';
-import { extension_settings, getContext } from '../../../extensions.js';
-import { searchWikimedia, searchGoogle, searchBoth } from './search.js';
-import { extractKeywords, selectBestImage, fetchModels } from './ai.js';
-import { insertImageToMessage, insertLoadingPlaceholder, removeLoadingPlaceholder, restoreAllImages } from './ui.js';
+import { extension_settings, getContext, saveMetadataDebounced } from '../../../extensions.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { getStringHash, saveBase64AsFile } from '../../../utils.js';
+import { searchImages, searchSource, getProviders, LICENSE_LABELS } from './search.js';
+import { extractKeywords, selectBestImage } from './ai.js';
+import { STEPS, getBackends, getBackend, getStepConfig, getStepOverrides, setStepOverrides, isStepConfigured, testStep, fetchModels, fetchStepModels, getVisionState, setVisionOverride, detectVision } from './backends.js';
+import { insertImagesToMessage, insertLoadingPlaceholder, removeLoadingPlaceholder, restoreAllImages, removeIllustrations, refreshMessageImages, refreshAllImages, setIllustBusy } from './ui.js';
+import { getIllust, clearIllust } from './store.js';
+import { getCacheStats, getCachedImageUrl, pruneCache, clearChatCache, clearAllCache, formatBytes } from './cache.js';
+import { showImagePicker } from './picker.js';
+import { showLightbox } from './lightbox.js';
+import { getMemoStats, clearMemo } from './memo.js';
+import { filterCandidates, DEFAULT_BLOCKLIST, getRejectionLog, clearRejectionLog } from './filter.js';
+import { getUsageSummary, clearUsage, getBudgetExceeded } from './usage.js';
+import { generateImage, buildImagePrompt } from './generate.js';
+import { registerSlashCommands } from './commands.js';
+import { getActiveProfile, getProfileNames, createProfile, deleteProfile, bindProfileToChat, bindProfileToCharacter, resolveSettings } from './profiles.js';
+import { BUILTIN_PRESETS, DEFAULT_PRESET, getPromptTemplate, getPresetNames, getPreset, isBuiltinPreset, savePreset, deletePreset, applyPreset, parsePresetFile } from './prompts.js';
+import { initStoryTracking, buildStoryContext, updateSceneState, getSceneState, clearSceneState } from './story.js';
+import { enqueueJob, waitForUser, hasJob, cancelAllJobs, cancelOrphanJobs, isAbortError, JobBusyError } from './queue.js';
 
 export const extensionName = 'auto-illustration';
 export const extensionFolder = `scripts/extensions/third-party/${extensionName}`;
@@ -12,48 +28,305 @@ export const extensionFolder = `scripts/extensions/third-party/${extensionName}`
 export const defaultSettings = {
   enabled: false,
 
-  // AI 设置（OpenAI 兼容格式）
+  // 每个步骤用哪个 AI 后端，见 backends.js
+  backend_extract: 'openai',
+  backend_select: 'openai',
+
+  // 每个步骤可以单独填接口、Key 和模型（留空沿用下面的共用设置），见 backends.js「步骤配置」
+  step_configs: {},
+  temperature_extract: '',   // 留空用默认值
+  temperature_select: '',
+
+  // 选图方式：vision 发缩略图给模型看，text 只发标题、来源和说明（省 token）；
+  // 模型不能看图时自动用 text。能否看图按 后端|模型 记录，见 backends.js
+  select_mode: 'vision',
+  vision_overrides: {},
+  vision_detected: {},
+
+  // OpenAI 兼容格式
   ai_base_url: 'https://your-proxy.com',  // 中转地址
   ai_api_key: '',
   ai_model: '',
   ai_models_cache: [],  // 缓存的模型列表
 
-  // Serper (Google)
-  serper_api_key: '',
+  // Anthropic / Gemini，base_url 留空用官方地址
+  anthropic_base_url: '',
+  anthropic_api_key: '',
+  anthropic_model: 'claude-haiku-4-5',
+  gemini_base_url: '',
+  gemini_api_key: '',
+  gemini_model: 'gemini-2.5-flash',
+
+  // 搜索源（各搜索源需要的设置见 search.js 注册表）
+  serper_api_key: '',        // Google (Serper)
+  unsplash_access_key: '',
+  pixabay_api_key: '',
+  flickr_api_key: '',
+  searxng_url: '',
+  disabled_sources: [],      // 用户手动关掉的搜索源 id
+
+  // Wikipedia 语言：先搜关键词所属语言，结果不够再依次搜备选语言；
+  // 跨语言链接会在这些语言版本里找同一篇文章分辨率最高的主图，留空不跟随
+  wiki_fallback_languages: ['en'],
+  wiki_langlink_languages: ['en', 'zh', 'ja', 'fr', 'de', 'es', 'ru'],
 
   // 行为（同之前）
   candidates_per_source: 4,
+  rank_top_n: 5,             // 排序去重后最多把几张发给看图模型，见 rank.js
+  rank_min_size: 200,        // 短边小于这个像素数的候选丢掉，0 为不限
+  rank_dedupe: true,         // 用感知哈希去掉重复的候选
   max_queries: 2,
   min_message_length: 80,
   show_caption: true,
   auto_mode: true,
   search_preference: 'smart',
+  reillustrate_on_edit: false,  // 编辑消息后重新配图
+  placement: 'anchored',        // anchored | end | top | bottom，见 ui.js renderIllustrations
+
+  // 关键词提取时附带的故事背景，见 story.js
+  context_messages: 4,       // 带上前几条消息，0 为不带
+  context_character: true,   // 角色卡的设定和场景
+  context_world_info: true,  // 本轮激活的世界书条目
+  prompt_extra: '',          // 附加到关键词提取提示词的要求
+
+  // 提示词模板，空为内置默认，见 prompts.js
+  prompt_extract: '',
+  prompt_select: '',
+  prompt_presets: {},        // 用户保存的预设：名称 → { extract, select }
+
+  // 配置档，见 profiles.js
+  profiles: {},              // 名称 → 设置
+  profile_characters: {},    // 角色头像文件名 → 配置档名称
+
+  // 任务队列，见 queue.js
+  queue_concurrency: 2,      // 同时处理几条消息
+  step_timeout: 60,          // 单次请求超时（秒）
+  step_retries: 2,           // 网络错误 / 429 / 5xx 重试次数
+
+  // 本地缓存（IndexedDB），防止原图链接失效
+  cache_enabled: false,
+  cache_max_width: 1280,  // 缓存时缩小到这个宽度，0 = 保留原图
+  cache_prune_days: 30,
+
+  // 搜索结果和选图结果缓存（见 memo.js），省 Serper 额度
+  result_cache_enabled: true,
+  result_cache_ttl: 72,   // 小时
+
+  // 候选图过滤（见 filter.js）
+  domain_blocklist: [...DEFAULT_BLOCKLIST],
+  domain_allowlist: [],
+  domain_allowlist_only: false,
+  safety_filter: 'off',   // off | heuristic | vision
+  open_license_only: false,  // 只要 CC0 / 公有领域 / CC BY，授权不明的也不要
+
+  // 每日预算，0 为不限；超出后暂停自动配图（手动配图不受限），见 usage.js
+  budget_daily_tokens: 0,
+  budget_daily_serper: 0,
+
+  // AI 生图（见 generate.js）
+  gen_mode: 'off',             // off | fallback | primary | candidate
+  gen_backend: 'st',           // st | openai
+  gen_model: 'dall-e-3',
+  gen_size: '1024x1024',
+  gen_style: 'digital painting, detailed, cinematic lighting',
 };
 
 // ============ 初始化设置 ============
 export function loadSettings() {
   extension_settings[extensionName] = {
-    ...defaultSettings,
+    ...structuredClone(defaultSettings),
     ...(extension_settings[extensionName] || {}),
   };
 }
 
-export function getSettings() {
+// 全局设置本身，不受配置档影响
+export function getGlobalSettings() {
   return extension_settings[extensionName];
 }
 
-// ============ 主流程 ============
-async function onMessageReceived(messageId) {
+// 当前聊天生效的设置（叠加了绑定的配置档，见 profiles.js）
+export function getSettings() {
+  return resolveSettings(getGlobalSettings());
+}
+
+// ============ 流程步骤 ============
+
+// 关键词列表规范化为 [{ query, source, entity, anchor }]
+function resolveQueries(analysis) {
   const settings = getSettings();
-  if (!settings.enabled) return;
+  const source = settings.search_preference === 'smart'
+    ? analysis.source
+    : settings.search_preference;
+
+  return (analysis.queries || [])
+    .slice(0, settings.max_queries)
+    .map(item => typeof item === 'string'
+      ? { query: item, source }
+      : { query: item.query, source: item.source || source, entity: item.entity === true, anchor: item.anchor ?? '' })
+    .filter(q => q.query);
+}
 
-  const context = getContext();
-  const message = context.chat[messageId];
+// 按来源搜索一个关键词（没结果会降级到其他来源），再按域名和安全规则过滤
+async function searchQuery({ query, source, entity }, signal, options = {}) {
+  const results = await searchImages(source, query, signal, { ...options, entity });
+  return await filterCandidates(results.map(r => ({ ...r, query })), signal);
+}
 
-  // 基本过滤
-  if (!message || message.is_user) return;
-  if (message.mes.length < settings.min_message_length) return;
-  if (message.extra?.auto_illust) return; // 已经配过图了
+// 带故事背景提取关键词，顺便更新当前场景
+async function analyzeMessage(message, signal) {
+  const analysis = await extractKeywords(message.mes, signal, buildStoryContext(message));
+  updateSceneState(analysis.setting);
+  refreshSceneState();
+  return analysis;
+}
+
+// 从候选图中排除已展示过的，再让 AI 选一张
+async function pickFromCandidates(messageText, candidates, exclude, signal) {
+  const remaining = candidates.filter(c => !exclude.has(c.url));
+
+  if (remaining.length === 0) return null;
+
+  // Wikidata 条目图比模糊搜索的结果可靠，有就只在条目图里选（多张时看哪张更贴合，如夜景）
+  const canonical = remaining.filter(c => c.entity);
+  if (canonical.length) {
+    console.log(`[AutoIllust] "${canonical[0].query}" 使用 Wikidata 条目图（${canonical.length} 张）`);
+    return await selectBestImage(messageText, canonical, signal);
+  }
+
+  console.log(`[AutoIllust] "${remaining[0].query}" 共 ${remaining.length} 张候选图`);
+  return await selectBestImage(messageText, remaining, signal);
+}
+
+/**
+ * 对一组关键词逐个搜索 + 选图，每个关键词最多产出一张图
+ * @param {string} messageText
+ * @param {{query: string, source: string}[]} queries
+ * @param {object} [options]
+ * @param {Set<string>} [options.exclude] 不再使用的图片 URL
+ * @param {Object<string, object[]>} [options.extraCandidates] 额外加入候选的图（如 AI 生成图）
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{images: object[], candidates: Object<string, object[]>}>}
+ */
+async function illustrateQueries(messageText, queries, { exclude = new Set(), extraCandidates = {}, signal } = {}) {
+  const images = [];
+  const candidates = {};
+  const used = new Set(exclude);
+
+  for (const q of queries) {
+    candidates[q.query] = [...await searchQuery(q, signal), ...(extraCandidates[q.query] || [])];
+
+    // 不同关键词可能搜到同一张图
+    const best = await pickFromCandidates(messageText, candidates[q.query], used, signal);
+
+    if (!best) {
+      console.log(`[AutoIllust] "${q.query}" 没有合适的图`);
+      continue;
+    }
+
+    console.log('[AutoIllust] 选中:', best.url, 'from', best.source);
+    images.push({ ...best, anchor: q.anchor });
+    used.add(best.url);
+  }
+
+  return { images, candidates };
+}
+
+// 非全自动模式下让用户在选择器里确认，返回 null 表示跳过；
+// 等用户期间不占队列名额，任务取消（切换聊天）时选择器自动关闭
+async function confirmImages(messageId, images, candidates, queries, signal) {
+  if (getSettings().auto_mode) {
+    return { chosen: images, candidates, queries };
+  }
+
+  // 选择器弹出前先撤掉加载动画
+  removeLoadingPlaceholder(messageId);
+
+  const picked = await waitForUser(signal, () => showImagePicker({
+    candidates,
+    recommended: images,
+    onSearch: searchQuery,
+    signal,
+  }));
+  if (!picked?.selected.length) return null;
+
+  // 弹窗里新搜的关键词也记下来
+  const allQueries = [...queries];
+  for (const q of picked.searched) {
+    if (!allQueries.some(item => item.query === q.query)) allQueries.push(q);
+  }
+
+  // 选择器返回的是候选原件，补上关键词对应的段落锚点
+  const chosen = picked.selected.map(img => ({
+    ...img,
+    anchor: allQueries.find(q => q.query === img.query)?.anchor,
+  }));
+
+  return { chosen, candidates: picked.candidates, queries: allQueries };
+}
+
+// 生图失败不影响搜索流程
+async function tryGenerate(analysis, queries, signal) {
+  try {
+    const generated = await generateImage(buildImagePrompt(analysis.scene, queries), queries[0]?.query || '', signal);
+    return { ...generated, anchor: queries[0]?.anchor };
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] 生图失败:', e);
+    return null;
+  }
+}
+
+// ============ 消息定位 ============
+
+// 异步流程中消息可能被删除、前面的消息被删导致编号变化、换了 swipe 或切换了聊天，
+// 写回前按对象重新定位，返回 null 表示应放弃本次结果
+function locateMessage(message, swipeId) {
+  const messageId = getContext().chat?.indexOf(message) ?? -1;
+  if (messageId === -1) return null;
+  if ((message.swipe_id ?? 0) !== swipeId) return null;
+  return messageId;
+}
+
+function removePlaceholderOf(message) {
+  const messageId = getContext().chat?.indexOf(message) ?? -1;
+  if (messageId !== -1) removeLoadingPlaceholder(messageId);
+}
+
+// 队列任务的统一错误处理：取消和重复提交不算错误
+function logJobError(error, what) {
+  if (isAbortError(error)) {
+    console.log(`[AutoIllust] ${what}已取消`);
+  } else if (error instanceof JobBusyError) {
+    console.log(`[AutoIllust] ${what}跳过: ${error.message}`);
+  } else {
+    console.error(`[AutoIllust] ${what}失败:`, error);
+    toastr.error(`${what}失败：${error.message}`, 'Auto Illustration');
+  }
+}
+
+// ============ 主流程 ============
+
+/**
+ * 为一条消息跑完整流程（提取关键词 → 搜索 → 选图 → 插入），已有配图会被替换
+ * @param {number} messageId
+ * @returns {Promise<object[]>} 最终插入的图片，没有配图时为空数组
+ */
+export async function illustrateMessage(messageId) {
+  const message = getContext().chat[messageId];
+  if (!message) return [];
+
+  try {
+    return await enqueueJob(message, `#${messageId} 配图`, signal => runIllustration(message, signal));
+  } catch (error) {
+    logJobError(error, '配图');
+    return [];
+  }
+}
+
+async function runIllustration(message, signal) {
+  const swipeId = message.swipe_id ?? 0;
+  const messageId = getContext().chat.indexOf(message);
+  if (messageId === -1) return [];
 
   console.log('[AutoIllust] 处理消息:', messageId);
 
@@ -62,125 +335,367 @@ async function onMessageReceived(messageId) {
 
   try {
     // ========== Step 1: AI 提取关键词 + 判断搜索源 ==========
-    const analysis = await extractKeywords(message.mes);
+    const analysis = await analyzeMessage(message, signal);
+    const queries = resolveQueries(analysis);
 
-    if (!analysis.queries?.length) {
+    if (!queries.length) {
       console.log('[AutoIllust] 没有提取到关键词');
-      removeLoadingPlaceholder(messageId);
-      return;
+      removePlaceholderOf(message);
+      return [];
+    }
+
+    console.log('[AutoIllust] 关键词:', queries);
+
+    // ========== Step 2: 根据来源搜索 + Step 3: 每个关键词各选一张（按设置穿插 AI 生图） ==========
+    const genMode = getSettings().gen_mode;
+    let images = [];
+    let candidates = {};
+
+    // 生成的图也放进候选，选择器确认和之后重新配图才找得到它
+    if (genMode === 'primary') {
+      const generated = await tryGenerate(analysis, queries, signal);
+      if (generated) {
+        images = [generated];
+        candidates = { [queries[0].query]: [generated] };
+      }
     }
 
-    console.log('[AutoIllust] 关键词:', analysis.queries, '来源:', analysis.source);
+    if (images.length === 0) {
+      const extra = {};
+      if (genMode === 'candidate') {
+        const generated = await tryGenerate(analysis, queries, signal);
+        if (generated) extra[queries[0].query] = [generated];
+      }
+      ({ images, candidates } = await illustrateQueries(message.mes, queries, { extraCandidates: extra, signal }));
+    }
 
-    // ========== Step 2: 根据来源搜索 ==========
-    const source = settings.search_preference === 'smart'
-      ? analysis.source
-      : settings.search_preference;
+    if (images.length === 0 && genMode === 'fallback') {
+      console.log('[AutoIllust] 搜索没有合适的图，改用 AI 生图');
+      const generated = await tryGenerate(analysis, queries, signal);
+      if (generated) {
+        images = [generated];
+        candidates = { ...candidates, [queries[0].query]: [generated, ...(candidates[queries[0].query] || [])] };
+      }
+    }
 
-    let allCandidates = [];
+    if (images.length === 0) {
+      console.log('[AutoIllust] 没有可用的配图');
+      removePlaceholderOf(message);
+      return [];
+    }
 
-    for (const queryItem of analysis.queries.slice(0, settings.max_queries)) {
-      const query = typeof queryItem === 'string' ? queryItem : queryItem.query;
-      const querySource = typeof queryItem === 'string' ? source : (queryItem.source || source);
+    // ========== Step 4: 替换加载动画为图片 ==========
+    let targetId = locateMessage(message, swipeId);
+    if (targetId === null) {
+      console.log('[AutoIllust] 消息已删除或已切换 swipe，放弃配图');
+      return [];
+    }
 
-      let results = [];
+    const result = await confirmImages(targetId, images, candidates, queries, signal);
+    if (!result) return [];
 
-      switch (querySource) {
-        case 'wiki':
-          results = await searchWikimedia(query);
-          // Wiki 没搜到就降级到 Google
-          if (results.length === 0 && settings.serper_api_key) {
-            console.log('[AutoIllust] Wiki 无结果，降级到 Google');
-            results = await searchGoogle(query);
-          }
-          break;
+    targetId = locateMessage(message, swipeId);
+    if (targetId === null) return [];
 
-        case 'google':
-          results = await searchGoogle(query);
-          break;
+    // 候选和关键词一起保存，供重新配图使用
+    await insertImagesToMessage(targetId, result.chosen, {
+      queries: result.queries,
+      candidates: result.candidates,
+      shown: [...new Set([...images, ...result.chosen].map(img => img.url))],
+      mes_hash: getStringHash(message.mes),
+    });
+    return result.chosen;
 
-        case 'both':
-          results = await searchBoth(query);
-          break;
+  } catch (error) {
+    removePlaceholderOf(message);
+    throw error;
+  }
+}
 
-        default:
-          results = await searchBoth(query);
-      }
+// message 是事件触发时取到的消息对象；延迟期间切换了聊天或删了消息就不再配图
+async function onMessageReceived(message) {
+  const settings = getSettings();
+  if (!settings.enabled) return;
 
-      allCandidates.push(...results.map(r => ({ ...r, query })));
-    }
+  const messageId = getContext().chat?.indexOf(message) ?? -1;
 
-    if (allCandidates.length === 0) {
-      console.log('[AutoIllust] 搜索无结果');
-      removeLoadingPlaceholder(messageId);
-      return;
-    }
+  // 基本过滤
+  if (!message || messageId === -1 || message.is_user) return;
+  if (message.mes.length < settings.min_message_length) return;
+  if (getIllust(message)) return; // 已经配过图了
 
-    console.log(`[AutoIllust] 共 ${allCandidates.length} 张候选图`);
+  const exceeded = getBudgetExceeded();
+  if (exceeded) {
+    console.log('[AutoIllust] 超出预算，跳过自动配图:', exceeded);
+    notifyBudgetOnce(exceeded);
+    return;
+  }
 
-    // ========== Step 3: AI 看图选最佳 ==========
-    const best = await selectBestImage(message.mes, allCandidates);
+  await illustrateMessage(messageId);
+  refreshUsagePanel();
+}
 
-    if (!best) {
-      console.log('[AutoIllust] 没有合适的图');
-      removeLoadingPlaceholder(messageId);
-      return;
-    }
+// 超预算提示每天只弹一次
+let budgetNoticeDay = '';
 
-    console.log('[AutoIllust] 选中:', best.url, 'from', best.source);
+function notifyBudgetOnce(reason) {
+  const day = new Date().toDateString();
+  if (budgetNoticeDay === day) return;
+  budgetNoticeDay = day;
+  toastr.warning(`${reason}，自动配图已暂停（手动配图仍可用）`, 'Auto Illustration');
+}
 
-    // ========== Step 4: 替换加载动画为图片 ==========
-    if (settings.auto_mode) {
-      await insertImageToMessage(messageId, best);
-    } else {
-      removeLoadingPlaceholder(messageId);
-      const confirmed = await showConfirmPopup(best);
-      if (confirmed) {
-        await insertImageToMessage(messageId, best);
-      }
+// ============ 编辑 / swipe / 删除 ============
+
+async function onMessageEdited(messageId) {
+  const settings = getSettings();
+  const message = getContext().chat[messageId];
+  const illust = getIllust(message);
+  if (!illust) return;
+
+  const changed = illust.mes_hash !== getStringHash(message.mes);
+  if (settings.enabled && settings.reillustrate_on_edit && changed) {
+    console.log('[AutoIllust] 消息已编辑，重新配图:', messageId);
+    await illustrateMessage(messageId);
+    return;
+  }
+
+  // 编辑后 SillyTavern 重新渲染了正文，把图放回去
+  refreshMessageImages(messageId);
+}
+
+// ============ 指定关键词配图 / 清除 ============
+
+/**
+ * 用指定关键词搜索并选一张图，追加到消息已有配图之后
+ * @param {number} messageId
+ * @param {{query: string, source: string}} q
+ * @returns {Promise<object|null>} 插入的图片
+ */
+export async function illustrateWithQuery(messageId, q) {
+  const message = getContext().chat[messageId];
+  if (!message) return null;
+
+  try {
+    return await enqueueJob(message, `#${messageId} 搜索 "${q.query}"`, signal => runQueryIllustration(message, q, signal));
+  } catch (error) {
+    logJobError(error, '指定关键词配图');
+    return null;
+  }
+}
+
+async function runQueryIllustration(message, q, signal) {
+  const swipeId = message.swipe_id ?? 0;
+  const illust = getIllust(message);
+  const existing = illust?.images || [];
+
+  insertLoadingPlaceholder(getContext().chat.indexOf(message));
+
+  try {
+    const found = await searchQuery(q, signal);
+    const best = await pickFromCandidates(message.mes, found, new Set(existing.map(img => img.url)), signal);
+
+    let targetId = locateMessage(message, swipeId);
+    if (!best || targetId === null) {
+      removePlaceholderOf(message);
+      return null;
     }
 
+    const queries = [...(illust?.queries || []).filter(item => item.query !== q.query), q];
+    const result = await confirmImages(targetId, [best], { [q.query]: found }, queries, signal);
+    if (!result) return null;
+
+    targetId = locateMessage(message, swipeId);
+    if (targetId === null) return null;
+
+    await insertImagesToMessage(targetId, [...existing, ...result.chosen], {
+      queries: result.queries,
+      candidates: { ...(illust?.candidates || {}), ...result.candidates },
+      shown: [...new Set([...(illust?.shown || []), best.url, ...result.chosen.map(img => img.url)])],
+      mes_hash: getStringHash(message.mes),
+    });
+    return result.chosen[0];
+
   } catch (error) {
-    console.error('[AutoIllust] 错误:', error);
-    removeLoadingPlaceholder(messageId);
+    removePlaceholderOf(message);
+    throw error;
   }
 }
 
-// ============ 确认弹窗 ============
-async function showConfirmPopup(imageData) {
-  return new Promise((resolve) => {
-    const overlay = document.createElement('div');
-    overlay.style.cssText = `
-      position:fixed; top:0; left:0; width:100%; height:100%;
-      background:rgba(0,0,0,0.7); z-index:99999;
-      display:flex; align-items:center; justify-content:center;
-    `;
-
-    overlay.innerHTML = `
-      <div style="background:#2b2b2b; border-radius:12px; padding:20px; max-width:500px; width:90%; text-align:center;">
-        <div style="color:#aaa; font-size:13px; margin-bottom:10px;">🔍 ${imageData.query} · via ${imageData.source}</div>
-        <img src="${imageData.thumbnail || imageData.url}" style="max-width:100%; max-height:300px; border-radius:8px; margin-bottom:15px;" />
-        <div style="color:#ccc; font-size:12px; margin-bottom:15px;">${imageData.title || ''}</div>
-        <div style="display:flex; gap:10px; justify-content:center;">
-          <button id="ai_confirm_yes" style="padding:8px 24px; background:#4CAF50; color:white; border:none; border-radius:6px; cursor:pointer; font-size:14px;">✅ 使用</button>
-          <button id="ai_confirm_no" style="padding:8px 24px; background:#666; color:white; border:none; border-radius:6px; cursor:pointer; font-size:14px;">❌ 跳过</button>
-        </div>
-      </div>
-    `;
+/**
+ * 移除消息的配图
+ * @param {number} messageId
+ * @returns {Promise<object[]>} 被移除的图片
+ */
+export async function clearMessageIllust(messageId) {
+  const context = getContext();
+  const message = context.chat[messageId];
+  const illust = getIllust(message);
+  if (!illust) return [];
+
+  clearIllust(message);
+  removeIllustrations(messageId);
+  await context.saveChat();
+  return illust.images;
+}
+
+/**
+ * 移除消息的某一张配图，只剩这一张时同 clearMessageIllust
+ * @param {number} messageId
+ * @param {number} index 在这条消息配图中的序号
+ * @returns {Promise<object|null>} 被移除的图片
+ */
+export async function removeIllustImage(messageId, index) {
+  const message = getContext().chat[messageId];
+  const illust = getIllust(message);
+  const removed = illust?.images[index];
+  if (!removed) return null;
+
+  if (hasJob(message)) {
+    toastr.info('这条消息正在配图，稍后再试', 'Auto Illustration');
+    return null;
+  }
+
+  if (illust.images.length === 1) {
+    await clearMessageIllust(messageId);
+    return removed;
+  }
+
+  const images = illust.images.filter((_, i) => i !== index);
+  await insertImagesToMessage(messageId, images, illust, Math.min(index, images.length - 1));
+  return removed;
+}
+
+// 有本地缓存时把缓存的副本存进 user/images，原图失效背景也还在；
+// 缓存给的 object URL 只在本次会话有效，不能直接写进聊天元数据
+async function resolveBackgroundUrl(image) {
+  if (image.source === 'generated' || !getSettings().cache_enabled) return image.url;
 
-    document.body.appendChild(overlay);
+  const cached = await getCachedImageUrl(image.url);
+  if (!cached) return image.url;
 
-    overlay.querySelector('#ai_confirm_yes').onclick = () => {
-      overlay.remove();
-      resolve(true);
-    };
-    overlay.querySelector('#ai_confirm_no').onclick = () => {
-      overlay.remove();
-      resolve(false);
-    };
+  try {
+    const blob = await (await fetch(cached)).blob();
+    const dataUrl = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onloadend = () => resolve(reader.result);
+      reader.readAsDataURL(blob);
+    });
+    const ext = { 'image/jpeg': 'jpg', 'image/gif': 'gif', 'image/webp': 'webp' }[blob.type] || 'png';
+    const folder = getContext().name2 || 'auto-illustration';
+    return await saveBase64AsFile(dataUrl.split(',')[1], folder, `auto-illust-bg-${Date.now()}`, ext);
+  } catch (e) {
+    console.warn('[AutoIllust] 保存背景副本失败，使用原图链接:', e);
+    return image.url;
+  }
+}
+
+// 和 SillyTavern 背景面板里「锁定到本聊天」相同：存在聊天元数据的 custom_background 里
+async function setChatBackground(image) {
+  const metadata = getContext().chatMetadata;
+  if (!metadata) return;
+
+  const url = await resolveBackgroundUrl(image);
+  const background = `url("${url.replace(/"/g, '%22')}")`;
+  metadata.custom_background = background;
+  saveMetadataDebounced();
+  $('#bg_custom').css('background-image', background);
+  toastr.success('已设为本聊天的背景', 'Auto Illustration');
+}
+
+function openLightbox(messageId, index) {
+  showLightbox({
+    messageId,
+    index,
+    onReroll: (id, i, mode) => rerollMessage(id, mode, i),
+    onRemove: removeIllustImage,
+    onSetBackground: setChatBackground,
   });
 }
 
+// ============ 重新配图 ============
+
+/**
+ * 重新配图，已展示过的图片不会再次入选
+ * @param {number} messageId
+ * @param {'pick'|'search'|'extract'} mode
+ *   pick: 当前这张换成同一批候选里的另一张
+ *   search: 当前这张的关键词重新搜索再选
+ *   extract: 重新提取关键词，整条消息重新配图
+ * @param {number} slideIndex 当前显示的是第几张
+ */
+async function rerollMessage(messageId, mode, slideIndex = 0) {
+  const message = getContext().chat[messageId];
+  if (!getIllust(message) || hasJob(message)) return;
+
+  setIllustBusy(messageId, true);
+
+  try {
+    await enqueueJob(message, `#${messageId} 重新配图`, signal => runReroll(message, mode, slideIndex, signal));
+  } catch (error) {
+    logJobError(error, '重新配图');
+  } finally {
+    const targetId = getContext().chat?.indexOf(message) ?? -1;
+    if (targetId !== -1) setIllustBusy(targetId, false);
+  }
+}
+
+async function runReroll(message, mode, slideIndex, signal) {
+  const illust = getIllust(message);
+  const swipeId = message.swipe_id ?? 0;
+
+  const shown = new Set([...(illust.shown || []), ...illust.images.map(img => img.url)]);
+  const candidates = { ...(illust.candidates || {}) };
+  let images = [...illust.images];
+  let queries = illust.queries || [];
+  let activeIndex = slideIndex;
+
+  if (mode === 'extract') {
+    queries = resolveQueries(await analyzeMessage(message, signal));
+    const result = await illustrateQueries(message.mes, queries, { exclude: shown, signal });
+    Object.assign(candidates, result.candidates);
+    images = result.images;
+    activeIndex = 0;
+  } else {
+    const current = images[slideIndex];
+    if (!current) return;
+
+    // 旧数据没有保存关键词来源，按当前偏好搜
+    const preference = getSettings().search_preference;
+    const q = queries.find(item => item.query === current.query)
+      || { query: current.query, source: preference === 'smart' ? 'both' : preference };
+
+    // 旧数据也没有候选，只能重新搜
+    if (mode === 'search' || !candidates[q.query]) {
+      // 明确要求重新搜索时跳过结果缓存
+      candidates[q.query] = await searchQuery(q, signal, { refresh: mode === 'search' });
+    }
+
+    const otherUrls = images.filter((_, i) => i !== slideIndex).map(img => img.url);
+    const best = await pickFromCandidates(message.mes, candidates[q.query], new Set([...shown, ...otherUrls]), signal);
+    images[slideIndex] = best && { ...best, anchor: current.anchor ?? q.anchor };
+  }
+
+  const targetId = locateMessage(message, swipeId);
+  if (targetId === null) return;
+
+  if (images.length === 0 || images.includes(null)) {
+    toastr.info('没有更多可用的候选图了', 'Auto Illustration');
+    return;
+  }
+
+  images.forEach(img => shown.add(img.url));
+
+  // 原地替换元数据
+  await insertImagesToMessage(targetId, images, {
+    ...illust,
+    queries,
+    candidates,
+    shown: [...shown],
+    mes_hash: getStringHash(message.mes),
+  }, activeIndex);
+}
+
 async function loadSettingsUI() {
   // ===== 直接内联 HTML，不依赖外部文件 =====
   const html = `
@@ -198,8 +713,51 @@ async function loadSettingsUI() {
         </label>
         <hr />
 
+        <h4>🗂️ 配置档</h4>
+        <small id="ai_profile_active" style="display:block;"></small>
+        <div style="display:flex; gap:8px; align-items:center; margin:4px 0;">
+          <select id="ai_profile_select" class="text_pole" style="flex:1;"></select>
+          <button id="ai_profile_new" class="menu_button" title="用当前生效的设置新建">➕</button>
+          <button id="ai_profile_delete" class="menu_button" title="删除选中的配置档">🗑️</button>
+        </div>
+        <div style="display:flex; gap:8px; flex-wrap:wrap;">
+          <button id="ai_profile_bind_character" class="menu_button">绑定到当前角色</button>
+          <button id="ai_profile_bind_chat" class="menu_button">绑定到本聊天</button>
+          <button id="ai_profile_unbind" class="menu_button">解除绑定</button>
+        </div>
+        <small>配置档包含：启用开关、搜索偏好和搜索源、标注和配图位置、触发规则、生图模式、故事背景和额外提示词。绑定后修改这些设置会存进生效的配置档。</small>
+        <hr />
+
         <h4>🤖 AI 设置</h4>
-        <small>支持 OpenAI 兼容格式（中转站、one-api 等）</small>
+        ${STEPS.map(renderStepSettings).join('')}
+        <small id="ai_backend_hint" style="display:block; color:#888;"></small>
+        <label>选图方式</label>
+        <select id="ai_select_mode" class="text_pole">
+          <option value="vision">看缩略图选图</option>
+          <option value="text">只看标题、来源和说明（省 token）</option>
+        </select>
+        <label>选图模型能否看图</label>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <select id="ai_vision_override" class="text_pole" style="flex:1;">
+            <option value="auto">自动（按检测结果）</option>
+            <option value="yes">能看图</option>
+            <option value="no">不能看图</option>
+          </select>
+          <button id="ai_vision_detect" class="menu_button" title="发一张测试图片，看模型能否认出来">🔍 检测</button>
+        </div>
+        <small id="ai_vision_status" style="display:block; color:#888;"></small>
+        <label>额外提示词（附加到关键词提取）</label>
+        <textarea id="ai_prompt_extra" class="text_pole" rows="2"
+                  placeholder="例如：只搜油画和版画，不要照片"></textarea>
+        <div style="display:flex; gap:8px; align-items:center; margin:8px 0;">
+          <button id="ai_test_backends" class="menu_button">🧪 测试各步骤</button>
+          <span id="ai_backends_status" style="font-size:12px;"></span>
+        </div>
+        <small>以下是各后端的共用设置，步骤里没有单独填写的项都用这里的</small>
+
+        <div class="ai_backend_settings" data-backend="openai">
+        <h4>OpenAI 兼容</h4>
+        <small>中转站、one-api 等</small>
 
         <label>Base URL</label>
         <input type="text" id="ai_base_url" class="text_pole"
@@ -221,33 +779,129 @@ async function loadSettingsUI() {
           </select>
           <button id="ai_refresh_models" class="menu_button" title="刷新模型列表">🔄</button>
         </div>
-        <input type="text" id="ai_model_search" class="text_pole"
+        <input type="text" id="ai_model_search" class="text_pole ai_model_search" data-for="ai_model_select"
                placeholder="🔍 搜索模型..." style="display:none; margin-top:4px;" />
         <span id="ai_model_status" style="font-size:11px; color:#888;"></span>
+        </div>
+
+        ${renderBackendSettings('anthropic', 'https://api.anthropic.com', 'sk-ant-...')}
+        ${renderBackendSettings('gemini', 'https://generativelanguage.googleapis.com', 'AIza...')}
+        <hr />
+
+        <h4>📝 提示词模板</h4>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <select id="ai_prompt_preset" class="text_pole" style="flex:1;"></select>
+          <button id="ai_prompt_preset_apply" class="menu_button" title="载入选中的预设">载入</button>
+          <button id="ai_prompt_preset_save" class="menu_button" title="把当前模板存为预设">💾</button>
+          <button id="ai_prompt_preset_delete" class="menu_button" title="删除选中的预设">🗑️</button>
+        </div>
+        <div style="display:flex; gap:8px; margin:4px 0;">
+          <button id="ai_prompt_export" class="menu_button">📤 导出</button>
+          <button id="ai_prompt_import" class="menu_button">📥 导入</button>
+          <input type="file" id="ai_prompt_import_file" accept=".json,application/json" style="display:none;" />
+        </div>
+        <small>可用宏：SillyTavern 的 {{char}}、{{user}} 等，以及 {{max_queries}} {{message}} {{candidates}} {{scene}} {{sources}} {{source_rules}}</small>
+        <label>关键词提取（系统提示词）</label>
+        <textarea id="ai_prompt_extract" class="text_pole ai_prompt_template" data-kind="extract" rows="8"></textarea>
+        <button class="menu_button ai_prompt_reset" data-kind="extract">↩️ 恢复默认</button>
+        <label>看图选图</label>
+        <textarea id="ai_prompt_select" class="text_pole ai_prompt_template" data-kind="select" rows="8"></textarea>
+        <button class="menu_button ai_prompt_reset" data-kind="select">↩️ 恢复默认</button>
         <hr />
 
         <h4>🔍 图片搜索</h4>
         <label>搜索源偏好</label>
         <select id="ai_search_preference" class="text_pole">
           <option value="smart">🧠 智能判断</option>
-          <option value="both">🔀 两个都搜</option>
-          <option value="wiki">📖 仅 Wikimedia</option>
-          <option value="google">🔍 仅 Google</option>
+          <option value="both">🔀 全部来源</option>
+          ${getProviders().map(p => `<option value="${p.id}">${p.icon} 仅 ${p.name}</option>`).join('')}
+        </select>
+
+        ${renderProviderSettings()}
+        <label>Wikipedia 备选语言</label>
+        <input type="text" id="ai_wiki_fallback_languages" class="text_pole ai_lang_list" data-key="wiki_fallback_languages"
+               placeholder="en, ja" />
+        <label>跨语言链接考虑的语言版本</label>
+        <input type="text" id="ai_wiki_langlink_languages" class="text_pole ai_lang_list" data-key="wiki_langlink_languages"
+               placeholder="留空不跟随" />
+        <small>语言代码用逗号分隔。关键词先搜所属语言的 Wikipedia（故宫 → zh，경복궁 → ko），结果不够再按顺序搜备选语言</small>
+        <hr />
+
+        <h4>🛡️ 过滤</h4>
+        <small>一行一个域名，会同时匹配子域名，支持 * 通配符（如 gettyimages.*）。白名单优先于黑名单</small>
+        <label>域名黑名单</label>
+        <textarea id="ai_domain_blocklist" class="text_pole ai_domain_list" data-key="domain_blocklist" rows="5"></textarea>
+        <button id="ai_domain_blocklist_reset" class="menu_button">↩️ 恢复默认黑名单</button>
+        <label>域名白名单</label>
+        <textarea id="ai_domain_allowlist" class="text_pole ai_domain_list" data-key="domain_allowlist" rows="3"></textarea>
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_domain_allowlist_only" />
+          <span>只用白名单里的域名</span>
+        </label>
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_open_license_only" />
+          <span>只用 CC0 / 公有领域 / CC BY 授权的图（授权不明的也不用）</span>
+        </label>
+        <label>内容安全</label>
+        <select id="ai_safety_filter" class="text_pole">
+          <option value="off">关闭</option>
+          <option value="heuristic">按标题和链接关键词</option>
+          <option value="vision">关键词 + AI 看图检查（额外消耗 token）</option>
         </select>
+        <label>最近被过滤的图</label>
+        <div id="ai_rejection_log" style="max-height:200px; overflow-y:auto; font-size:12px;"></div>
+        <div style="display:flex; gap:8px;">
+          <button id="ai_rejection_refresh" class="menu_button">🔄 刷新</button>
+          <button id="ai_rejection_clear" class="menu_button">🗑️ 清空</button>
+        </div>
+        <hr />
 
-        <label>Serper.dev API Key</label>
-        <input type="password" id="ai_serper_key" class="text_pole"
-               placeholder="Serper API Key" />
-        <small><a href="https://serper.dev/" target="_blank">免费注册 ↗</a> · 注册送 2500 次</small>
+        <h4>📜 故事背景</h4>
+        <small>提取关键词时一并参考，让配图符合故事设定的时代和地点</small>
+        <label>带上前几条消息</label>
+        <input type="number" id="ai_context_messages" class="text_pole" min="0" max="20" />
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_context_character" />
+          <span>角色卡设定和场景</span>
+        </label>
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_context_world_info" />
+          <span>激活的世界书条目</span>
+        </label>
+        <div style="display:flex; gap:8px; align-items:center; margin:8px 0;">
+          <small id="ai_scene_state" style="flex:1; color:#888;"></small>
+          <button id="ai_scene_reset" class="menu_button" title="清除本聊天记录的当前场景">🧹 重置场景</button>
+        </div>
         <hr />
 
         <h4>⚙️ 行为设置</h4>
         <label>每个来源候选图数量</label>
         <input type="number" id="ai_candidates" class="text_pole" min="2" max="8" />
+        <label>最多发给 AI 看几张候选</label>
+        <input type="number" id="ai_rank_top_n" class="text_pole" min="2" max="8" />
+        <label>候选图最小尺寸（短边像素，0 为不限）</label>
+        <input type="number" id="ai_rank_min_size" class="text_pole" min="0" max="2000" />
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_rank_dedupe" />
+          <span>去掉重复的候选（同一张图的不同尺寸）</span>
+        </label>
         <label>每条消息最多搜几个关键词</label>
         <input type="number" id="ai_max_queries" class="text_pole" min="1" max="4" />
         <label>最短触发字数</label>
         <input type="number" id="ai_min_length" class="text_pole" min="0" max="500" />
+        <label>同时配图的消息数</label>
+        <input type="number" id="ai_queue_concurrency" class="text_pole" min="1" max="5" />
+        <label>请求超时（秒）</label>
+        <input type="number" id="ai_step_timeout" class="text_pole" min="10" max="300" />
+        <label>失败重试次数</label>
+        <input type="number" id="ai_step_retries" class="text_pole" min="0" max="5" />
+        <label>配图位置</label>
+        <select id="ai_placement" class="text_pole">
+          <option value="anchored">📌 放在对应段落之后</option>
+          <option value="end">⬇️ 正文末尾（元数据之前）</option>
+          <option value="top">⬆️ 消息最上方</option>
+          <option value="bottom">⏬ 消息最下方</option>
+        </select>
         <label class="checkbox_label">
           <input type="checkbox" id="ai_show_caption" />
           <span>显示图片来源标注</span>
@@ -256,6 +910,92 @@ async function loadSettingsUI() {
           <input type="checkbox" id="ai_auto_mode" />
           <span>全自动模式</span>
         </label>
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_reillustrate_on_edit" />
+          <span>编辑消息后重新配图</span>
+        </label>
+        <hr />
+
+        <h4>🎨 AI 生图</h4>
+        <label>生图模式</label>
+        <select id="ai_gen_mode" class="text_pole">
+          <option value="off">关闭</option>
+          <option value="fallback">搜不到合适的图时生成</option>
+          <option value="primary">优先生成（失败再搜索）</option>
+          <option value="candidate">生成一张加入候选，和搜索结果一起选</option>
+        </select>
+        <label>生图方式</label>
+        <select id="ai_gen_backend" class="text_pole">
+          <option value="st">SillyTavern 图片生成扩展</option>
+          <option value="openai">OpenAI 兼容接口（使用上面的 Base URL / Key）</option>
+        </select>
+        <div id="ai_gen_openai_options" style="display:flex; gap:8px;">
+          <input type="text" id="ai_gen_model" class="text_pole" placeholder="生图模型，如 dall-e-3" style="flex:2;" />
+          <input type="text" id="ai_gen_size" class="text_pole" placeholder="1024x1024" style="flex:1;" />
+        </div>
+        <label>风格提示词（附加在场景描述后）</label>
+        <input type="text" id="ai_gen_style" class="text_pole" />
+        <hr />
+
+        <h4>💾 本地缓存</h4>
+        <small>把配图存到浏览器本地（IndexedDB），原图链接失效后仍能显示</small>
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_cache_enabled" />
+          <span>缓存配图到本地</span>
+        </label>
+        <label>缓存图片最大宽度（px，0 = 原图）</label>
+        <input type="number" id="ai_cache_max_width" class="text_pole" min="0" max="4096" step="64" />
+        <div style="display:flex; gap:8px; align-items:center;">
+          <span id="ai_cache_stats" style="flex:1; font-size:12px; color:#888;"></span>
+          <button id="ai_cache_refresh" class="menu_button" title="刷新统计">🔄</button>
+        </div>
+        <div id="ai_cache_chats" style="font-size:12px;"></div>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <span style="font-size:12px;">清理</span>
+          <input type="number" id="ai_cache_prune_days" class="text_pole" min="1" style="width:70px;" />
+          <span style="font-size:12px;">天前的缓存</span>
+          <button id="ai_cache_prune" class="menu_button">🧹 清理</button>
+        </div>
+        <div style="display:flex; gap:8px;">
+          <button id="ai_cache_clear_chat" class="menu_button">清除当前聊天</button>
+          <button id="ai_cache_clear_all" class="menu_button">清除全部</button>
+        </div>
+
+        <label class="checkbox_label">
+          <input type="checkbox" id="ai_result_cache_enabled" />
+          <span>缓存搜索结果和选图结果</span>
+        </label>
+        <small>同一关键词、同一来源不再重复搜索；同一条消息面对同一组候选不再重复选图</small>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <span>有效期</span>
+          <input type="number" id="ai_result_cache_ttl" class="text_pole" min="1" style="width:70px;" />
+          <span>小时</span>
+        </div>
+        <div style="display:flex; gap:8px; align-items:center; margin:8px 0;">
+          <span id="ai_result_cache_stats" style="flex:1; font-size:12px; color:#888;"></span>
+          <button id="ai_result_cache_refresh" class="menu_button" title="刷新统计">🔄</button>
+          <button id="ai_result_cache_clear" class="menu_button">清除</button>
+        </div>
+        <hr />
+
+        <h4>📊 用量</h4>
+        <div style="display:flex; gap:8px; align-items:center;">
+          <select id="ai_usage_range" class="text_pole" style="flex:1;">
+            <option value="1">今天</option>
+            <option value="7">最近 7 天</option>
+            <option value="30">最近 30 天</option>
+            <option value="chat">当前聊天（全部）</option>
+          </select>
+          <button id="ai_usage_refresh" class="menu_button" title="刷新">🔄</button>
+          <button id="ai_usage_clear" class="menu_button" title="清空统计">🗑️</button>
+        </div>
+        <div id="ai_usage_panel" style="font-size:12px; margin:6px 0;"></div>
+        <small>SillyTavern 当前连接不返回 token 用量，只计请求次数；统计只保存在本浏览器</small>
+        <label>每日 token 上限（0 为不限）</label>
+        <input type="number" id="ai_budget_daily_tokens" class="text_pole" min="0" step="1000" />
+        <label>每日 Serper 调用上限（0 为不限）</label>
+        <input type="number" id="ai_budget_daily_serper" class="text_pole" min="0" />
+        <small>达到上限后暂停自动配图，手动配图和重新配图不受影响</small>
         <hr />
 
         <h4>🧪 测试</h4>
@@ -264,9 +1004,8 @@ async function loadSettingsUI() {
                  placeholder="输入关键词，如 Mona Lisa" />
           <div style="display:flex; gap:8px; align-items:center; margin-top:8px;">
             <select id="ai_test_source" class="text_pole" style="flex:1;">
-              <option value="both">两个都搜</option>
-              <option value="wiki">Wikimedia</option>
-              <option value="google">Google</option>
+              <option value="both">全部来源</option>
+              ${getProviders().map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
             </select>
             <button id="ai_test_search" class="menu_button">测试搜索</button>
           </div>
@@ -289,20 +1028,14 @@ async function loadSettingsUI() {
   const s = getSettings();
 
   // ===== 绑定设置控件 =====
-  $('#ai_enabled').prop('checked', s.enabled);
-  $('#ai_base_url').val(s.ai_base_url);
-  $('#ai_api_key').val(s.ai_api_key);
-  $('#ai_serper_key').val(s.serper_api_key);
-  $('#ai_candidates').val(s.candidates_per_source);
-  $('#ai_max_queries').val(s.max_queries);
-  $('#ai_min_length').val(s.min_message_length);
-  $('#ai_show_caption').prop('checked', s.show_caption);
-  $('#ai_auto_mode').prop('checked', s.auto_mode);
-  $('#ai_search_preference').val(s.search_preference);
+  syncSettingsUI();
+  refreshCacheStats();
+  refreshResultCacheStats();
+  refreshUsagePanel();
 
   // 模型下拉框：如果有缓存就填充
   if (s.ai_models_cache?.length) {
-    populateModelSelect(s.ai_models_cache, s.ai_model);
+    populateModelSelect('ai_model_select', s.ai_models_cache, s.ai_model);
   } else if (s.ai_model) {
     $('#ai_model_select').append(
       `<option value="${s.ai_model}" selected>${s.ai_model}</option>`
@@ -319,52 +1052,528 @@ async function loadSettingsUI() {
   $(document).on('input', '#ai_base_url', function () {
     getSettings().ai_base_url = this.value;
     saveSettingsDebounced();
+    updateBackendSections();
   });
 
   $(document).on('input', '#ai_api_key', function () {
     getSettings().ai_api_key = this.value;
     saveSettingsDebounced();
+    updateBackendSections();
   });
 
-  $(document).on('input', '#ai_serper_key', function () {
-    getSettings().serper_api_key = this.value;
+  $(document).on('change', '.ai_step_backend', function () {
+    getSettings()[`backend_${this.dataset.step}`] = this.value;
     saveSettingsDebounced();
+    // 单独的设置按后端分开存，换后端后显示新后端的
+    syncStepFields(this.dataset.step);
+    updateBackendSections();
   });
 
-  $(document).on('input', '#ai_candidates', function () {
-    getSettings().candidates_per_source = parseInt(this.value) || 4;
-    saveSettingsDebounced();
+  $(document).on('input', '.ai_step_field', function () {
+    setStepOverrides(this.dataset.step, { [this.dataset.field]: this.value.trim() });
+    updateBackendSections();
   });
 
-  $(document).on('input', '#ai_max_queries', function () {
-    getSettings().max_queries = parseInt(this.value) || 2;
-    saveSettingsDebounced();
+  $(document).on('change', '.ai_step_model', function () {
+    setStepOverrides(this.dataset.step, { model: this.value });
+    updateBackendSections();
   });
 
-  $(document).on('input', '#ai_min_length', function () {
-    getSettings().min_message_length = parseInt(this.value) || 80;
+  $(document).on('input', '.ai_step_temperature', function () {
+    getSettings()[`temperature_${this.dataset.step}`] = this.value.trim();
     saveSettingsDebounced();
   });
 
-  $(document).on('change', '#ai_show_caption', function () {
-    getSettings().show_caption = this.checked;
-    saveSettingsDebounced();
-  });
+  $(document).on('click', '.ai_step_refresh_models', async function () {
+    const step = this.dataset.step;
+    const btn = $(this);
+    btn.prop('disabled', true);
 
-  $(document).on('change', '#ai_auto_mode', function () {
-    getSettings().auto_mode = this.checked;
-    saveSettingsDebounced();
+    try {
+      const models = await fetchStepModels(step);
+      setStepOverrides(step, { models });
+      refreshStepModels(step);
+      toastr.success(`${models.length} 个模型`, 'Auto Illustration');
+    } catch (e) {
+      toastr.error(e.message, 'Auto Illustration');
+    } finally {
+      btn.prop('disabled', false);
+    }
   });
 
-  $(document).on('change', '#ai_search_preference', function () {
-    getSettings().search_preference = this.value;
-    saveSettingsDebounced();
-  });
+  $(document).on('click', '.ai_step_test', async function () {
+    const step = this.dataset.step;
+    const btn = $(this);
+    const status = $(`.ai_step_status[data-step="${step}"]`);
 
-  $(document).on('change', '#ai_model_select', function () {
-    console.log('[AutoIllust] 模型切换:', this.value);
+    btn.prop('disabled', true);
+    status.text('测试中...').css('color', '#888');
+
+    try {
+      const { ok, message } = await testStep(step);
+      status.text(`${ok ? '✅' : '⚠️'} ${message}`).css('color', ok ? '#4CAF50' : '#e67e22');
+    } catch (e) {
+      status.text(`❌ ${e.message}`).css('color', '#e74c3c');
+      console.error(`[AutoIllust] ${step} 步骤测试失败:`, e);
+    } finally {
+      btn.prop('disabled', false);
+      // 选图测试会更新看图检测结果
+      updateBackendSections();
+    }
+  });
+
+  $(document).on('input', '.ai_model_search', function () {
+    const keyword = this.value.trim().toLowerCase();
+    $(`#${this.dataset.for} option`).each(function () {
+      // 第一项是「选择模型 / 沿用共用设置」，始终显示
+      this.hidden = Boolean(keyword && this.value && !this.value.toLowerCase().includes(keyword));
+    });
+  });
+
+  $(document).on('input', '.ai_backend_setting', function () {
+    getSettings()[this.dataset.key] = this.value.trim();
+    saveSettingsDebounced();
+    updateBackendSections();
+  });
+
+  $(document).on('click', '.ai_backend_refresh_models', async function () {
+    const backendId = this.dataset.backend;
+    const btn = $(this);
+    btn.prop('disabled', true);
+
+    try {
+      const models = await fetchModels(backendId);
+      $(`#ai_${backendId}_models`).html(models.map(m => `<option value="${m}"></option>`).join(''));
+      toastr.success(`${getBackend(backendId).name}: ${models.length} 个模型`, 'Auto Illustration');
+    } catch (e) {
+      toastr.error(e.message, 'Auto Illustration');
+    } finally {
+      btn.prop('disabled', false);
+    }
+  });
+
+  $(document).on('click', '#ai_test_backends', async function () {
+    const btn = $(this);
+    const status = $('#ai_backends_status');
+
+    btn.prop('disabled', true);
+    status.text('测试中...').css('color', '#888');
+
+    const results = [];
+    for (const step of STEPS) {
+      try {
+        const { ok, message } = await testStep(step.id);
+        results.push(`${ok ? '✅' : '⚠️'} ${step.name}: ${message}`);
+      } catch (e) {
+        results.push(`❌ ${step.name}: ${e.message}`);
+        console.error(`[AutoIllust] ${step.name}后端测试失败:`, e);
+      }
+    }
+
+    const failed = results.some(r => !r.startsWith('✅'));
+    status.html(results.join('<br>')).css('color', failed ? '#e74c3c' : '#4CAF50');
+    btn.prop('disabled', false);
+    updateBackendSections();
+  });
+
+  $(document).on('change', '#ai_select_mode', function () {
+    getSettings().select_mode = this.value;
+    saveSettingsDebounced();
+    updateBackendSections();
+  });
+
+  $(document).on('change', '#ai_vision_override', function () {
+    setVisionOverride('select', this.value === 'auto' ? undefined : this.value === 'yes');
+    updateBackendSections();
+  });
+
+  $(document).on('click', '#ai_vision_detect', async function () {
+    const btn = $(this);
+    btn.prop('disabled', true);
+    $('#ai_vision_status').text('检测中...');
+
+    try {
+      const canSee = await detectVision('select');
+      toastr.info(canSee ? '选图模型能看图' : '选图模型不能看图，将用文字选图', 'Auto Illustration');
+    } catch (e) {
+      console.error('[AutoIllust] 看图检测失败:', e);
+      toastr.error(`检测失败：${e.message}`, 'Auto Illustration');
+    }
+
+    btn.prop('disabled', false);
+    updateBackendSections();
+  });
+
+  $(document).on('input', '.ai_source_setting', function () {
+    getSettings()[this.dataset.key] = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '.ai_source_toggle', function () {
+    const settings = getSettings();
+    const id = this.dataset.source;
+    settings.disabled_sources = (settings.disabled_sources || []).filter(d => d !== id);
+    if (!this.checked) settings.disabled_sources.push(id);
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_rank_top_n', function () {
+    getSettings().rank_top_n = parseInt(this.value) || 5;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_rank_min_size', function () {
+    getSettings().rank_min_size = parseInt(this.value) || 0;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_rank_dedupe', function () {
+    getSettings().rank_dedupe = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_candidates', function () {
+    getSettings().candidates_per_source = parseInt(this.value) || 4;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_max_queries', function () {
+    getSettings().max_queries = parseInt(this.value) || 2;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_min_length', function () {
+    getSettings().min_message_length = parseInt(this.value) || 80;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_prompt_extra', function () {
+    getSettings().prompt_extra = this.value;
+    saveSettingsDebounced();
+  });
+
+  // ===== 提示词模板 =====
+  $(document).on('input', '.ai_prompt_template', function () {
+    const kind = this.dataset.kind;
+    // 和默认一样时存空，默认提示词更新后能跟着更新
+    getSettings()[`prompt_${kind}`] = this.value === BUILTIN_PRESETS[DEFAULT_PRESET][kind] ? '' : this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('click', '.ai_prompt_reset', function () {
+    const kind = this.dataset.kind;
+    getSettings()[`prompt_${kind}`] = '';
+    saveSettingsDebounced();
+    $(`#ai_prompt_${kind}`).val(getPromptTemplate(kind));
+  });
+
+  $(document).on('click', '#ai_prompt_preset_apply', function () {
+    const preset = getPreset($('#ai_prompt_preset').val());
+    if (!preset) return;
+
+    applyPreset(preset);
+    saveSettingsDebounced();
+    $('#ai_prompt_extract').val(getPromptTemplate('extract'));
+    $('#ai_prompt_select').val(getPromptTemplate('select'));
+  });
+
+  $(document).on('click', '#ai_prompt_preset_save', async function () {
+    const name = String(await callGenericPopup('预设名称', POPUP_TYPE.INPUT, '') || '').trim();
+    if (!name) return;
+    if (isBuiltinPreset(name)) {
+      toastr.warning('不能覆盖内置预设', 'Auto Illustration');
+      return;
+    }
+
+    savePreset(name, { extract: getPromptTemplate('extract'), select: getPromptTemplate('select') });
+    saveSettingsDebounced();
+    $('#ai_prompt_preset').val('');
+    refreshPresetSelect();
+    $('#ai_prompt_preset').val(name);
+  });
+
+  $(document).on('click', '#ai_prompt_preset_delete', async function () {
+    const name = $('#ai_prompt_preset').val();
+    if (!name || isBuiltinPreset(name)) {
+      toastr.info('内置预设不能删除', 'Auto Illustration');
+      return;
+    }
+    if (!await callGenericPopup(`删除提示词预设「${name}」？`, POPUP_TYPE.CONFIRM)) return;
+
+    deletePreset(name);
+    saveSettingsDebounced();
+    $('#ai_prompt_preset').val(DEFAULT_PRESET);
+    refreshPresetSelect();
+  });
+
+  $(document).on('click', '#ai_prompt_export', function () {
+    const name = $('#ai_prompt_preset').val() || 'auto-illust-prompts';
+    const data = { name, extract: getPromptTemplate('extract'), select: getPromptTemplate('select') };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${name}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+
+  $(document).on('click', '#ai_prompt_import', function () {
+    $('#ai_prompt_import_file').trigger('click');
+  });
+
+  $(document).on('change', '#ai_prompt_import_file', async function () {
+    const file = this.files?.[0];
+    this.value = '';
+    if (!file) return;
+
+    try {
+      const presets = parsePresetFile(await file.text());
+      for (const preset of presets) {
+        // 和内置预设重名时改个名，不覆盖内置
+        const name = isBuiltinPreset(preset.name) ? `${preset.name}（导入）` : preset.name;
+        savePreset(name, { extract: preset.extract, select: preset.select });
+      }
+      saveSettingsDebounced();
+      refreshPresetSelect();
+      toastr.success(`已导入 ${presets.length} 个提示词预设`, 'Auto Illustration');
+    } catch (e) {
+      toastr.error(`导入失败：${e.message}`, 'Auto Illustration');
+    }
+  });
+
+  // ===== 配置档 =====
+  $(document).on('click', '#ai_profile_new', async function () {
+    const name = String(await callGenericPopup('配置档名称', POPUP_TYPE.INPUT, '') || '').trim();
+    if (!name) return;
+    if (getProfileNames().includes(name) && !await callGenericPopup(`配置档「${name}」已存在，覆盖？`, POPUP_TYPE.CONFIRM)) return;
+
+    createProfile(name, getSettings());
+    saveSettingsDebounced();
+    refreshProfileUI();
+    $('#ai_profile_select').val(name);
+  });
+
+  $(document).on('click', '#ai_profile_delete', async function () {
+    const name = $('#ai_profile_select').val();
+    if (!name || !await callGenericPopup(`删除配置档「${name}」？`, POPUP_TYPE.CONFIRM)) return;
+
+    deleteProfile(name);
+    saveSettingsDebounced();
+    $('#ai_profile_select').val('');
+    syncSettingsUI();
+  });
+
+  $(document).on('click', '#ai_profile_bind_character, #ai_profile_bind_chat', function () {
+    const name = $('#ai_profile_select').val();
+    if (!name) {
+      toastr.info('请先新建配置档', 'Auto Illustration');
+      return;
+    }
+
+    const ok = this.id === 'ai_profile_bind_chat' ? bindProfileToChat(name) : bindProfileToCharacter(name);
+    if (!ok) {
+      toastr.warning(this.id === 'ai_profile_bind_chat' ? '当前没有打开聊天' : '群聊或未选择角色时只能绑定到聊天', 'Auto Illustration');
+      return;
+    }
+    saveSettingsDebounced();
+    syncSettingsUI();
+  });
+
+  $(document).on('click', '#ai_profile_unbind', function () {
+    const active = getActiveProfile();
+    if (!active) return;
+
+    if (active.boundTo === 'chat') bindProfileToChat(null);
+    else bindProfileToCharacter(null);
+    saveSettingsDebounced();
+    syncSettingsUI();
+  });
+
+  $(document).on('input', '#ai_context_messages', function () {
+    const value = parseInt(this.value);
+    getSettings().context_messages = Number.isNaN(value) ? 4 : value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_context_character', function () {
+    getSettings().context_character = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_context_world_info', function () {
+    getSettings().context_world_info = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('click', '#ai_scene_reset', function () {
+    clearSceneState();
+    refreshSceneState();
+  });
+
+  $(document).on('input', '#ai_queue_concurrency', function () {
+    getSettings().queue_concurrency = parseInt(this.value) || 2;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_step_timeout', function () {
+    getSettings().step_timeout = parseInt(this.value) || 60;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_step_retries', function () {
+    const value = parseInt(this.value);
+    getSettings().step_retries = Number.isNaN(value) ? 2 : value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_show_caption', function () {
+    getSettings().show_caption = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_auto_mode', function () {
+    getSettings().auto_mode = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_placement', function () {
+    getSettings().placement = this.value;
+    saveSettingsDebounced();
+    refreshAllImages();
+  });
+
+  $(document).on('change', '#ai_reillustrate_on_edit', function () {
+    getSettings().reillustrate_on_edit = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_gen_mode', function () {
+    getSettings().gen_mode = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_gen_backend', function () {
+    getSettings().gen_backend = this.value;
+    $('#ai_gen_openai_options').toggle(this.value === 'openai');
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_gen_model', function () {
+    getSettings().gen_model = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_gen_size', function () {
+    getSettings().gen_size = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_gen_style', function () {
+    getSettings().gen_style = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_cache_enabled', function () {
+    getSettings().cache_enabled = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_cache_max_width', function () {
+    getSettings().cache_max_width = parseInt(this.value) || 0;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_cache_prune_days', function () {
+    getSettings().cache_prune_days = parseInt(this.value) || 30;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_result_cache_enabled', function () {
+    getSettings().result_cache_enabled = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_result_cache_ttl', function () {
+    getSettings().result_cache_ttl = parseInt(this.value) || 72;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('click', '#ai_result_cache_refresh', refreshResultCacheStats);
+
+  $(document).on('change', '#ai_usage_range', refreshUsagePanel);
+  $(document).on('click', '#ai_usage_refresh', refreshUsagePanel);
+
+  $(document).on('click', '#ai_usage_clear', async function () {
+    if (!await callGenericPopup('清空所有用量统计？', POPUP_TYPE.CONFIRM)) return;
+    clearUsage();
+    refreshUsagePanel();
+  });
+
+  $(document).on('input', '#ai_budget_daily_tokens', function () {
+    getSettings().budget_daily_tokens = parseInt(this.value) || 0;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '#ai_budget_daily_serper', function () {
+    getSettings().budget_daily_serper = parseInt(this.value) || 0;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('click', '#ai_result_cache_clear', async function () {
+    await clearMemo();
+    toastr.success('已清除搜索和选图缓存', 'Auto Illustration');
+    refreshResultCacheStats();
+  });
+
+  $(document).on('input', '.ai_lang_list', function () {
+    getSettings()[this.dataset.key] = this.value.toLowerCase().split(/[\s,，]+/).filter(code => /^[a-z-]+$/.test(code));
+    saveSettingsDebounced();
+  });
+
+  $(document).on('input', '.ai_domain_list', function () {
+    getSettings()[this.dataset.key] = this.value.split('\n').map(line => line.trim()).filter(Boolean);
+    saveSettingsDebounced();
+  });
+
+  $(document).on('click', '#ai_domain_blocklist_reset', function () {
+    getSettings().domain_blocklist = [...DEFAULT_BLOCKLIST];
+    $('#ai_domain_blocklist').val(DEFAULT_BLOCKLIST.join('\n'));
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_domain_allowlist_only', function () {
+    getSettings().domain_allowlist_only = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_open_license_only', function () {
+    getSettings().open_license_only = this.checked;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_safety_filter', function () {
+    getSettings().safety_filter = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('click', '#ai_rejection_refresh', refreshRejectionLog);
+
+  $(document).on('click', '#ai_rejection_clear', function () {
+    clearRejectionLog();
+    refreshRejectionLog();
+  });
+
+  $(document).on('change', '#ai_search_preference', function () {
+    getSettings().search_preference = this.value;
+    saveSettingsDebounced();
+  });
+
+  $(document).on('change', '#ai_model_select', function () {
+    console.log('[AutoIllust] 模型切换:', this.value);
     getSettings().ai_model = this.value;
     saveSettingsDebounced();
+    updateBackendSections();
   });
 
   // ===== 按钮事件 =====
@@ -378,7 +1587,7 @@ async function loadSettingsUI() {
     status.text('').css('color', '#888');
 
     try {
-      const models = await fetchModels();
+      const models = await fetchModels('openai');
       status.text(`✅ 连接成功！${models.length} 个模型`).css('color', '#4CAF50');
       console.log('[AutoIllust] 连接成功, 模型数:', models.length);
     } catch (e) {
@@ -398,7 +1607,7 @@ async function loadSettingsUI() {
     status.text('获取中...').css('color', '#888');
 
     try {
-      const models = await fetchModels();
+      const models = await fetchModels('openai');
 
       if (models.length === 0) {
         status.text('未找到模型').css('color', '#e74c3c');
@@ -407,7 +1616,7 @@ async function loadSettingsUI() {
 
       getSettings().ai_models_cache = models;
       saveSettingsDebounced();
-      populateModelSelect(models, getSettings().ai_model);
+      populateModelSelect('ai_model_select', models, getSettings().ai_model);
       status.text(`✅ ${models.length} 个模型`).css('color', '#4CAF50');
 
     } catch (e) {
@@ -418,6 +1627,32 @@ async function loadSettingsUI() {
     }
   });
 
+  $(document).on('click', '#ai_cache_refresh', refreshCacheStats);
+
+  $(document).on('click', '#ai_cache_prune', async function () {
+    const days = getSettings().cache_prune_days;
+    const removed = await pruneCache(days);
+    toastr.success(`已清理 ${removed} 张 ${days} 天前的缓存`, 'Auto Illustration');
+    refreshCacheStats();
+  });
+
+  $(document).on('click', '#ai_cache_clear_chat', async function () {
+    const removed = await clearChatCache();
+    toastr.success(`已清除当前聊天的 ${removed} 张缓存`, 'Auto Illustration');
+    refreshCacheStats();
+  });
+
+  $(document).on('click', '.ai_cache_clear_chat_item', async function () {
+    await clearChatCache(this.dataset.chatId);
+    refreshCacheStats();
+  });
+
+  $(document).on('click', '#ai_cache_clear_all', async function () {
+    if (!await callGenericPopup('确定清除全部缓存的配图吗？', POPUP_TYPE.CONFIRM)) return;
+    await clearAllCache();
+    refreshCacheStats();
+  });
+
   $(document).on('click', '#ai_test_search', async function () {
     console.log('[AutoIllust] 点击测试搜索');
     const btn = $(this);
@@ -432,12 +1667,7 @@ async function loadSettingsUI() {
 
       console.log('[AutoIllust] 搜索:', query, '来源:', source);
 
-      let results = [];
-      switch (source) {
-        case 'wiki': results = await searchWikimedia(query); break;
-        case 'google': results = await searchGoogle(query); break;
-        case 'both': results = await searchBoth(query); break;
-      }
+      const results = await searchSource(source, query);
 
       console.log('[AutoIllust] 搜索结果:', results.length, '张');
 
@@ -474,16 +1704,346 @@ async function loadSettingsUI() {
 
 // ============ 辅助函数 ============
 
-function populateModelSelect(models, selectedModel) {
-  const select = $('#ai_model_select');
+// 每个搜索源一块：启用开关 + 它需要的设置项
+function renderProviderSettings() {
+  const s = getSettings();
+
+  return getProviders().map(p => {
+    const enabled = !(s.disabled_sources || []).includes(p.id);
+    const fields = (p.settings || []).map(field => `
+      <input type="${field.type || 'text'}" class="text_pole ai_source_setting"
+             data-key="${field.key}" placeholder="${field.placeholder || field.label}"
+             value="${String(s[field.key] || '').replace(/"/g, '&quot;')}" />
+      ${field.help ? `<small>${field.help}</small>` : ''}`).join('');
+
+    return `
+      <div class="auto-illust-source">
+        <label class="checkbox_label">
+          <input type="checkbox" class="ai_source_toggle" data-source="${p.id}" ${enabled ? 'checked' : ''} />
+          <span>${p.icon} ${p.name}</span>
+          <small>· ${LICENSE_LABELS[p.license] || ''}</small>
+        </label>
+        ${fields}
+      </div>`;
+  }).join('');
+}
+
+async function refreshCacheStats() {
+  try {
+    const stats = await getCacheStats();
+    const currentChat = getContext().getCurrentChatId?.();
+
+    $('#ai_cache_stats').text(`共 ${stats.count} 张 · ${formatBytes(stats.size)}`);
+
+    // 按聊天列出，方便单独清理
+    const rows = stats.chats.map(c => $('<div style="display:flex; gap:8px; align-items:center;"></div>')
+      .append($('<span style="flex:1; overflow:hidden; text-overflow:ellipsis; white-space:nowrap;"></span>')
+        .text(`${c.chatId === currentChat ? '▶ ' : ''}${c.chatId || '(未知聊天)'}`))
+      .append($('<span style="color:#888;"></span>').text(`${c.count} 张 · ${formatBytes(c.size)}`))
+      .append($('<button class="menu_button ai_cache_clear_chat_item" title="清除">🗑️</button>')
+        .attr('data-chat-id', c.chatId)));
+    $('#ai_cache_chats').empty().append(rows);
+  } catch (e) {
+    $('#ai_cache_stats').text(`❌ ${e.message}`);
+  }
+}
+
+async function refreshResultCacheStats() {
+  try {
+    const { search, select } = await getMemoStats();
+    const rate = s => s.hits + s.misses ? ` (${Math.round(s.hits / (s.hits + s.misses) * 100)}%)` : '';
+    $('#ai_result_cache_stats').text(
+      `搜索 ${search.count} 条，本次命中 ${search.hits}/${search.hits + search.misses}${rate(search)} · `
+      + `选图 ${select.count} 条，本次命中 ${select.hits}/${select.hits + select.misses}${rate(select)}`,
+    );
+  } catch (e) {
+    $('#ai_result_cache_stats').text(`❌ ${e.message}`);
+  }
+}
+
+function refreshRejectionLog() {
+  const entries = getRejectionLog().slice(0, 20);
+  if (!entries.length) {
+    $('#ai_rejection_log').text('暂无');
+    return;
+  }
+
+  $('#ai_rejection_log').empty().append(entries.map(e => $('<div></div>')
+    .append($('<b></b>').text(`${e.reason} `))
+    .append($('<span></span>').text(`「${e.query}」${e.title ? ` ${e.title}` : ''} `))
+    .append($('<a target="_blank" rel="noopener"></a>').attr('href', e.url).text(e.url))));
+}
+
+function refreshUsagePanel() {
+  const range = $('#ai_usage_range').val() || '1';
+  const usage = range === 'chat'
+    ? getUsageSummary({ chatId: getContext().getCurrentChatId?.() || '' })
+    : getUsageSummary({ days: Number(range) });
+
+  const rows = [
+    `AI: ${usage.requests} 次请求 · ${usage.tokens} token（输入 ${usage.input} / 输出 ${usage.output}）· 发送图片 ${usage.images} 张`,
+    ...Object.entries(usage.models).map(([model, m]) =>
+      `　${model}: ${m.requests} 次 · ${m.input + m.output} token${m.images ? ` · ${m.images} 张图` : ''}`),
+    `搜索次数: ${Object.entries(usage.searches).map(([id, n]) => `${getProviders().find(p => p.id === id)?.name || id} ${n}`).join(' · ') || '无'}`,
+  ];
+
+  if (range !== 'chat') {
+    const chats = Object.entries(usage.chats).sort((a, b) => b[1].tokens - a[1].tokens).slice(0, 5);
+    if (chats.length) {
+      rows.push('按聊天:', ...chats.map(([chatId, c]) => `　${chatId || '(无聊天)'}: ${c.tokens} token · 搜索 ${c.searches} 次`));
+    }
+  }
+
+  const exceeded = getBudgetExceeded();
+  if (exceeded) rows.push(`⚠️ ${exceeded}，自动配图已暂停`);
+
+  $('#ai_usage_panel').empty().append(rows.map(text => $('<div></div>').text(text)));
+}
+
+// 把设置值填进控件；切换聊天或配置档后生效的设置会变，需要重新填
+function syncSettingsUI() {
+  const s = getSettings();
+
+  $('#ai_enabled').prop('checked', s.enabled);
+  $('#ai_base_url').val(s.ai_base_url);
+  $('#ai_api_key').val(s.ai_api_key);
+  STEPS.forEach((step) => {
+    $(`#ai_backend_${step.id}`).val(s[`backend_${step.id}`]);
+    $(`.ai_step_temperature[data-step="${step.id}"]`).val(s[`temperature_${step.id}`]);
+    syncStepFields(step.id);
+  });
+  $('.ai_backend_setting').each(function () {
+    $(this).val(s[this.dataset.key]);
+  });
+  updateBackendSections();
+  $('#ai_candidates').val(s.candidates_per_source);
+  $('#ai_rank_top_n').val(s.rank_top_n);
+  $('#ai_rank_min_size').val(s.rank_min_size);
+  $('#ai_rank_dedupe').prop('checked', s.rank_dedupe);
+  $('#ai_max_queries').val(s.max_queries);
+  $('#ai_min_length').val(s.min_message_length);
+  $('#ai_context_messages').val(s.context_messages);
+  $('#ai_context_character').prop('checked', s.context_character);
+  $('#ai_context_world_info').prop('checked', s.context_world_info);
+  refreshSceneState();
+  $('#ai_queue_concurrency').val(s.queue_concurrency);
+  $('#ai_step_timeout').val(s.step_timeout);
+  $('#ai_step_retries').val(s.step_retries);
+  $('#ai_show_caption').prop('checked', s.show_caption);
+  $('#ai_auto_mode').prop('checked', s.auto_mode);
+  $('#ai_reillustrate_on_edit').prop('checked', s.reillustrate_on_edit);
+  $('#ai_placement').val(s.placement);
+  $('#ai_gen_mode').val(s.gen_mode);
+  $('#ai_gen_backend').val(s.gen_backend);
+  $('#ai_gen_model').val(s.gen_model);
+  $('#ai_gen_size').val(s.gen_size);
+  $('#ai_gen_style').val(s.gen_style);
+  $('#ai_gen_openai_options').toggle(s.gen_backend === 'openai');
+  $('#ai_cache_enabled').prop('checked', s.cache_enabled);
+  $('#ai_cache_max_width').val(s.cache_max_width);
+  $('#ai_cache_prune_days').val(s.cache_prune_days);
+  $('#ai_result_cache_enabled').prop('checked', s.result_cache_enabled);
+  $('#ai_result_cache_ttl').val(s.result_cache_ttl);
+  $('#ai_budget_daily_tokens').val(s.budget_daily_tokens);
+  $('#ai_budget_daily_serper').val(s.budget_daily_serper);
+  $('#ai_search_preference').val(s.search_preference);
+  $('#ai_wiki_fallback_languages').val((s.wiki_fallback_languages || []).join(', '));
+  $('#ai_wiki_langlink_languages').val((s.wiki_langlink_languages || []).join(', '));
+  $('#ai_domain_blocklist').val((s.domain_blocklist || []).join('\n'));
+  $('#ai_domain_allowlist').val((s.domain_allowlist || []).join('\n'));
+  $('#ai_domain_allowlist_only').prop('checked', s.domain_allowlist_only);
+  $('#ai_open_license_only').prop('checked', s.open_license_only);
+  $('#ai_safety_filter').val(s.safety_filter);
+  refreshRejectionLog();
+  $('.ai_source_toggle').each(function () {
+    this.checked = !(s.disabled_sources || []).includes(this.dataset.source);
+  });
+  $('#ai_prompt_extra').val(s.prompt_extra);
+  $('#ai_prompt_extract').val(getPromptTemplate('extract'));
+  $('#ai_prompt_select').val(getPromptTemplate('select'));
+  refreshPresetSelect();
+  refreshProfileUI();
+}
+
+function refreshPresetSelect() {
+  const select = $('#ai_prompt_preset');
+  const selected = select.val() || DEFAULT_PRESET;
+  const names = getPresetNames();
+
+  select.html(names.map(name => `<option value="${name}">${isBuiltinPreset(name) ? '📦 ' : ''}${name}</option>`).join(''));
+  select.val(names.includes(selected) ? selected : DEFAULT_PRESET);
+}
+
+function refreshProfileUI() {
+  const active = getActiveProfile();
+  const names = getProfileNames();
+  const select = $('#ai_profile_select');
+  const selected = select.val() || active?.name || '';
+
+  select.html(names.length
+    ? names.map(name => `<option value="${name}">${name}</option>`).join('')
+    : '<option value="">（还没有配置档）</option>');
+  if (names.includes(selected)) select.val(selected);
+
+  $('#ai_profile_active').text(active
+    ? `当前生效: ${active.name}（绑定到${active.boundTo === 'chat' ? '本聊天' : '当前角色'}）`
+    : '当前生效: 全局设置');
+}
+
+function refreshSceneState() {
+  const scene = getSceneState();
+  const text = scene
+    ? [scene.location, scene.era, scene.time_of_day].filter(Boolean).join(' · ')
+    : '';
+  $('#ai_scene_state').text(`当前场景: ${text || '（尚未记录）'}`);
+}
+
+// Anthropic / Gemini 的设置块
+function renderBackendSettings(backendId, defaultUrl, keyPlaceholder) {
+  const backend = getBackend(backendId);
+  return `
+        <div class="ai_backend_settings" data-backend="${backendId}">
+          <h4>${backend.name}</h4>
+          <label>Base URL（可选，留空为官方地址）</label>
+          <input type="text" class="text_pole ai_backend_setting" data-key="${backendId}_base_url" placeholder="${defaultUrl}" />
+          <label>API Key</label>
+          <input type="password" class="text_pole ai_backend_setting" data-key="${backendId}_api_key" placeholder="${keyPlaceholder}" />
+          <label>模型</label>
+          <div style="display:flex; gap:8px; align-items:center;">
+            <input type="text" class="text_pole ai_backend_setting" data-key="${backendId}_model" list="ai_${backendId}_models" style="flex:1;" />
+            <button class="menu_button ai_backend_refresh_models" data-backend="${backendId}" title="获取模型列表">🔄</button>
+          </div>
+          <datalist id="ai_${backendId}_models"></datalist>
+        </div>`;
+}
+
+// 每个步骤的后端，以及单独的接口 / Key / 模型 / 温度
+function renderStepSettings(step) {
+  return `
+        <div class="ai_step_settings" data-step="${step.id}" style="margin-bottom:8px;">
+          <label>${step.name}使用</label>
+          <select id="ai_backend_${step.id}" class="text_pole ai_step_backend" data-step="${step.id}">
+            ${getBackends().map(b => `<option value="${b.id}">${b.name}</option>`).join('')}
+          </select>
+          <div class="ai_step_overrides" data-step="${step.id}">
+            <small>以下留空沿用该后端的共用设置</small>
+            <label>Base URL</label>
+            <input type="text" class="text_pole ai_step_field" data-step="${step.id}" data-field="base_url" />
+            <label>API Key</label>
+            <input type="password" class="text_pole ai_step_field" data-step="${step.id}" data-field="api_key" />
+            <label>模型</label>
+            <div style="display:flex; gap:8px; align-items:center;">
+              <select id="ai_model_select_${step.id}" class="text_pole ai_step_model" data-step="${step.id}" style="flex:1;"></select>
+              <button class="menu_button ai_step_refresh_models" data-step="${step.id}" title="用这一步的接口获取模型列表">🔄</button>
+            </div>
+            <input type="text" class="text_pole ai_model_search" data-for="ai_model_select_${step.id}"
+                   placeholder="🔍 搜索模型..." style="display:none; margin-top:4px;" />
+          </div>
+          <label>温度（留空用默认值）</label>
+          <input type="number" class="text_pole ai_step_temperature" data-step="${step.id}" min="0" max="2" step="0.1" />
+          <div style="display:flex; gap:8px; align-items:center; margin-top:4px;">
+            <button class="menu_button ai_step_test" data-step="${step.id}">🔌 测试连接</button>
+            <span class="ai_step_status" data-step="${step.id}" style="font-size:12px;"></span>
+          </div>
+        </div>`;
+}
+
+// 填入步骤当前后端的单独设置
+function syncStepFields(step) {
+  const overrides = getStepOverrides(step);
+  $(`.ai_step_field[data-step="${step}"]`).each(function () {
+    $(this).val(overrides[this.dataset.field] || '');
+  });
+  $(`.ai_step_status[data-step="${step}"]`).text('');
+}
+
+// 模型下拉框：第一项沿用共用设置，其余是这一步刷新到的模型列表
+function refreshStepModels(step) {
+  const { backend } = getStepConfig(step);
+  const overrides = getStepOverrides(step);
+  const shared = getSettings()[backend.fields?.model] || '未设置';
+
+  const models = [...(overrides.models || [])];
+  if (overrides.model && !models.includes(overrides.model)) models.unshift(overrides.model);
+  populateModelSelect(`ai_model_select_${step}`, models, overrides.model || '', `-- 沿用共用设置（${shared}）--`);
+}
+
+// 没有接口设置的后端（SillyTavern 当前连接）不显示单独设置；占位符显示沿用的共用值
+function refreshStepSettings() {
+  const s = getSettings();
+
+  for (const step of STEPS) {
+    const { backend } = getStepConfig(step.id);
+    $(`.ai_step_overrides[data-step="${step.id}"]`).toggle(Boolean(backend.fields));
+
+    $(`.ai_step_field[data-step="${step.id}"]`).each(function () {
+      const key = backend.fields?.[this.dataset.field];
+      const shared = key ? s[key] : '';
+      this.placeholder = this.dataset.field === 'api_key'
+        ? (shared ? '沿用共用 Key' : '未设置')
+        : (shared || (key ? '未设置' : '此后端不需要'));
+    });
+    refreshStepModels(step.id);
+  }
+}
+
+// 只显示被某个步骤用到的后端设置，并提示缺什么
+function updateBackendSections() {
+  const s = getSettings();
+  const used = new Set(STEPS.map(step => s[`backend_${step.id}`]));
+
+  $('.ai_backend_settings').each(function () {
+    $(this).toggle(used.has(this.dataset.backend));
+  });
+
+  const hints = [];
+  const selectBackend = getBackend(s.backend_select);
+  if (selectBackend && !selectBackend.hasVision()) {
+    hints.push(s.backend_select === 'st'
+      ? '看图选图需要在「图片描述」扩展里把来源设为多模态，否则用文字选图'
+      : `${selectBackend.name} 不能看图，将用文字选图`);
+  }
+  for (const step of STEPS) {
+    if (!isStepConfigured(step.id)) hints.push(`${step.name}：${getStepConfig(step.id).backend.name} 尚未配置完整`);
+  }
+  $('#ai_backend_hint').text(hints.join('；'));
+  refreshStepSettings();
+  refreshVisionUI();
+}
+
+function refreshVisionUI() {
+  const { key, supported, override, detected } = getVisionState('select');
+
+  $('#ai_select_mode').val(getSettings().select_mode);
+  $('#ai_vision_override')
+    .val(override === undefined ? 'auto' : override ? 'yes' : 'no')
+    .prop('disabled', !supported);
+  $('#ai_vision_detect').prop('disabled', !supported);
+
+  const model = key.split('|').slice(1).join('|') || '(未选模型)';
+  const status = !supported ? '接口不能传图'
+    : detected === undefined ? '未检测'
+    : detected ? '检测结果：能看图' : '检测结果：不能看图';
+  $('#ai_vision_status').text(`${model}：${status}`);
+}
+
+/**
+ * @param {string} selectId 下拉框 id，同 data-for 的搜索框在有模型时显示
+ * @param {string[]} models
+ * @param {string} selectedModel
+ * @param {string} [emptyLabel] 第一项（值为空）的文字
+ */
+function populateModelSelect(selectId, models, selectedModel, emptyLabel) {
+  const select = $(`#${selectId}`);
   select.empty();
+  $(`.ai_model_search[data-for="${selectId}"]`).toggle(models.length > 0).val('');
 
   if (models.length === 0) {
-    select.append('<option value="">-- 未找到模型 --</option>');
+    select.append($('<option value=""></option>').text(emptyLabel || '-- 未找到模型 --'));
     return;
   }
 
-  select.append('<option value="">-- 选择模型 --</option>');
+  select.append($('<option value=""></option>').text(emptyLabel || '-- 选择模型 --'));
 
   models.forEach(model => {
     const option = $('<option></option>')
@@ -502,14 +2062,51 @@ function populateModelSelect(models, selectedModel) {
 jQuery(async () => {
   loadSettings();
   await loadSettingsUI();
+  registerSlashCommands();
+  initStoryTracking();
 
   // 监听新消息
   eventSource.on(event_types.MESSAGE_RECEIVED, (messageId) => {
-    setTimeout(() => onMessageReceived(messageId), 800);
+    const message = getContext().chat[messageId];
+    setTimeout(() => onMessageReceived(message), 800);
+  });
+
+  // 配图上的重新配图按钮
+  $(document).on('click', '.auto-illust-wrapper .auto-illust-action', function (e) {
+    e.stopPropagation();
+    // 锚定模式下一条消息可能有多个轮播，用当前这张在整条消息中的序号
+    const slide = this.closest('.auto-illust-wrapper').querySelector('.auto-illust-slide.active');
+    const messageId = Number(this.closest('.mes')?.getAttribute('mesid'));
+    rerollMessage(messageId, this.dataset.action, Number(slide?.dataset.index || 0));
+  });
+
+  // 点配图或标注打开大图查看器
+  $(document).on('click', '.auto-illust-slide .auto-illust-img, .auto-illust-slide .auto-illust-caption', function (e) {
+    e.stopPropagation();
+    const messageId = Number(this.closest('.mes')?.getAttribute('mesid'));
+    openLightbox(messageId, Number(this.closest('.auto-illust-slide').dataset.index || 0));
+  });
+
+  // 编辑后可选重新配图，否则把图放回重新渲染的正文
+  eventSource.on(event_types.MESSAGE_EDITED, (messageId) => {
+    setTimeout(() => onMessageEdited(messageId), 800);
+  });
+
+  // 切换 swipe：显示该 swipe 自己的配图（新生成的 swipe 由 MESSAGE_RECEIVED 处理）
+  eventSource.on(event_types.MESSAGE_SWIPED, (messageId) => {
+    setTimeout(() => refreshMessageImages(messageId), 800);
+  });
+
+  // 删除消息后 mesid 会重排，按元数据整体重新渲染；被删消息的任务不再需要
+  eventSource.on(event_types.MESSAGE_DELETED, () => {
+    cancelOrphanJobs(getContext().chat);
+    setTimeout(refreshAllImages, 500);
   });
 
-  // 聊天切换时恢复图片
+  // 聊天切换时取消旧聊天的任务，恢复图片
   eventSource.on(event_types.CHAT_CHANGED, () => {
+    cancelAllJobs();
+    syncSettingsUI();
     setTimeout(restoreAllImages, 1200);
   });
 
@@ -0,0 +1,288 @@
+import { getContext } from '../../../extensions.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
+import { getSettings } from './index.js';
+import { getIllust } from './store.js';
+import { getCachedImageUrl } from './cache.js';
+import { getSourceIcon, getSourceLabel } from './search.js';
+
+// ============ 大图查看器 ============
+//
+// 点配图或标注时打开，代替新标签页（手机上新标签页会离开 SillyTavern）。
+// 滚轮 / 双指缩放、拖动平移；左右切换整个聊天的所有配图；
+// 可在这里重新配图、移除这张图或设为聊天背景，具体操作由调用方传入。
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 8;
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// 整个聊天的配图，按消息顺序展开（只看各消息当前的 swipe）
+function collectImages() {
+  const list = [];
+  (getContext().chat || []).forEach((message, messageId) => {
+    (getIllust(message)?.images || []).forEach((image, index) => list.push({ messageId, index, image }));
+  });
+  return list;
+}
+
+function renderInfo(image) {
+  const page = image.link || image.url;
+  const license = image.license_url
+    ? `<a href="${escapeHtml(image.license_url)}" target="_blank" rel="noopener">${escapeHtml(image.license || image.license_url)}</a>`
+    : escapeHtml(image.license || '未知，需自行核实');
+
+  return `
+    ${image.title ? `<div class="auto-illust-lightbox-title">${escapeHtml(image.title)}</div>` : ''}
+    <div>🔍 ${escapeHtml(image.query || '')}</div>
+    <div>${getSourceIcon(image.source)} via ${escapeHtml(getSourceLabel(image.source))}</div>
+    ${image.entity ? `<div>Wikidata: <a href="https://www.wikidata.org/wiki/${escapeHtml(image.entity)}" target="_blank" rel="noopener">${escapeHtml(image.entity)}</a></div>` : ''}
+    ${image.source === 'generated' ? '' : `
+    <div>作者: ${escapeHtml(image.author || '未知')}</div>
+    <div>授权: ${license}</div>
+    <a href="${escapeHtml(page)}" target="_blank" rel="noopener">🔗 打开原始页面</a>`}`;
+}
+
+/**
+ * 打开大图查看器
+ * @param {object} options
+ * @param {number} options.messageId 从哪条消息打开
+ * @param {number} options.index 在这条消息配图中的序号
+ * @param {(messageId: number, index: number, mode: 'pick'|'search') => Promise<void>} options.onReroll
+ * @param {(messageId: number, index: number) => Promise<void>} options.onRemove
+ * @param {(image: object) => Promise<void>} options.onSetBackground
+ */
+export function showLightbox({ messageId, index, onReroll, onRemove, onSetBackground }) {
+  let list = collectImages();
+  let position = list.findIndex(item => item.messageId === messageId && item.index === index);
+  if (position === -1) return;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'auto-illust-lightbox';
+  overlay.innerHTML = `
+    <div class="auto-illust-lightbox-stage">
+      <img class="auto-illust-lightbox-img" referrerpolicy="no-referrer" draggable="false" />
+    </div>
+    <button class="auto-illust-lightbox-nav auto-illust-prev" data-role="prev" title="上一张 (←)">‹</button>
+    <button class="auto-illust-lightbox-nav auto-illust-next" data-role="next" title="下一张 (→)">›</button>
+    <button class="auto-illust-lightbox-close" data-role="close" title="关闭 (Esc)">✕</button>
+    <div class="auto-illust-lightbox-panel">
+      <div class="auto-illust-lightbox-position"></div>
+      <div class="auto-illust-lightbox-info"></div>
+      <div class="auto-illust-lightbox-actions">
+        <button class="menu_button" data-role="pick" title="换成同一批候选里的另一张">🎲 换一张</button>
+        <button class="menu_button" data-role="search" title="同样的关键词重新搜索">🔍 重新搜索</button>
+        <button class="menu_button" data-role="remove">🗑️ 移除</button>
+        <button class="menu_button" data-role="background">🖼️ 设为聊天背景</button>
+      </div>
+    </div>`;
+
+  const stage = overlay.querySelector('.auto-illust-lightbox-stage');
+  const img = overlay.querySelector('.auto-illust-lightbox-img');
+  const actionButtons = overlay.querySelectorAll('.auto-illust-lightbox-actions button');
+
+  // ===== 缩放 / 平移 =====
+
+  let scale = 1;
+  let offsetX = 0;
+  let offsetY = 0;
+
+  const applyTransform = () => {
+    img.style.transform = `translate(${offsetX}px, ${offsetY}px) scale(${scale})`;
+    stage.classList.toggle('zoomed', scale > 1);
+  };
+
+  const setScale = (value) => {
+    scale = Math.min(MAX_SCALE, Math.max(MIN_SCALE, value));
+    if (scale === 1) {
+      offsetX = 0;
+      offsetY = 0;
+    }
+    applyTransform();
+  };
+
+  // ===== 切换图片 =====
+
+  // 和消息里的配图一样优先用本地缓存，缓存失效再退回原图；
+  // 缓存是异步读的，快速切换时只认最后一次
+  let loadToken = 0;
+
+  const loadImage = (image) => {
+    const token = ++loadToken;
+    let triedOriginal = !getSettings().cache_enabled;
+
+    img.removeAttribute('src');
+    img.onerror = () => {
+      if (triedOriginal || token !== loadToken) return;
+      triedOriginal = true;
+      img.src = image.url;
+    };
+
+    if (triedOriginal) {
+      img.src = image.url;
+      return;
+    }
+    getCachedImageUrl(image.url).then((cached) => {
+      if (token !== loadToken) return;
+      triedOriginal = !cached;
+      img.src = cached || image.url;
+    });
+  };
+
+  const show = (target) => {
+    if (!list.length) {
+      close();
+      return;
+    }
+    position = (target + list.length) % list.length;
+    const { messageId: id, image } = list[position];
+
+    setScale(1);
+    img.classList.remove('loaded');
+    loadImage(image);
+    img.alt = image.query || '';
+    img.onload = () => img.classList.add('loaded');
+
+    overlay.querySelector('.auto-illust-lightbox-position').textContent = `#${id} · ${position + 1} / ${list.length}`;
+    overlay.querySelector('.auto-illust-lightbox-info').innerHTML = renderInfo(image);
+    overlay.querySelectorAll('.auto-illust-lightbox-nav').forEach(btn => { btn.hidden = list.length < 2; });
+
+    const generated = image.source === 'generated';
+    overlay.querySelector('[data-role="pick"]').hidden = generated;
+    overlay.querySelector('[data-role="search"]').hidden = generated;
+  };
+
+  const step = delta => show(position + delta);
+
+  // 操作完成后配图可能变了，重新收集再回到原来的位置
+  const runAction = async (action) => {
+    const { messageId: id, index: i } = list[position];
+    actionButtons.forEach(btn => { btn.disabled = true; });
+    try {
+      await action(id, i);
+    } catch (e) {
+      console.error('[AutoIllust] 大图查看器操作失败:', e);
+      toastr.error(e.message, 'Auto Illustration');
+    } finally {
+      actionButtons.forEach(btn => { btn.disabled = false; });
+    }
+    if (!overlay.isConnected) return;
+
+    list = collectImages();
+    const same = list.findIndex(item => item.messageId === id && item.index === i);
+    show(same !== -1 ? same : Math.min(position, list.length - 1));
+  };
+
+  const close = () => {
+    document.removeEventListener('keydown', onKeyDown, true);
+    overlay.remove();
+  };
+
+  // ===== 事件 =====
+
+  // 确认弹窗打开时按键交给弹窗
+  let confirming = false;
+
+  const onKeyDown = (e) => {
+    if (confirming) return;
+    if (e.key === 'Escape') close();
+    else if (e.key === 'ArrowLeft') step(-1);
+    else if (e.key === 'ArrowRight') step(1);
+    else if (e.key === '+' || e.key === '=') setScale(scale * 1.5);
+    else if (e.key === '-') setScale(scale / 1.5);
+    else if (e.key === '0') setScale(1);
+    else return;
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  stage.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    setScale(scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2));
+  }, { passive: false });
+
+  img.addEventListener('dblclick', () => setScale(scale > 1 ? 1 : 2.5));
+
+  // 单指：放大时拖动平移，未放大时左右滑动切换；双指：缩放
+  const pointers = new Map();
+  let drag = null;
+  let pinch = null;
+  let moved = false;
+
+  const pinchDistance = () => {
+    const [a, b] = [...pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y);
+  };
+
+  stage.addEventListener('pointerdown', (e) => {
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    moved = false;
+
+    if (pointers.size === 2) {
+      drag = null;
+      pinch = { distance: pinchDistance(), scale };
+    } else if (pointers.size === 1) {
+      drag = { x: e.clientX, y: e.clientY, offsetX, offsetY };
+    }
+  });
+
+  stage.addEventListener('pointermove', (e) => {
+    if (!pointers.has(e.pointerId)) return;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pinch && pointers.size === 2) {
+      moved = true;
+      setScale(pinch.scale * pinchDistance() / pinch.distance);
+    } else if (drag && scale > 1) {
+      moved = true;
+      offsetX = drag.offsetX + e.clientX - drag.x;
+      offsetY = drag.offsetY + e.clientY - drag.y;
+      applyTransform();
+    }
+  });
+
+  const endPointer = (e) => {
+    if (!pointers.delete(e.pointerId)) return;
+
+    if (drag && scale === 1 && e.type === 'pointerup') {
+      const dx = e.clientX - drag.x;
+      if (Math.abs(dx) > 60) {
+        moved = true;
+        step(dx < 0 ? 1 : -1);
+      }
+    }
+    if (pointers.size < 2) pinch = null;
+    if (pointers.size === 0) drag = null;
+  };
+  stage.addEventListener('pointerup', endPointer);
+  stage.addEventListener('pointercancel', endPointer);
+
+  // 点图片以外的空白处关闭
+  stage.addEventListener('click', (e) => {
+    if (e.target === stage && !moved) close();
+  });
+
+  overlay.querySelector('[data-role="prev"]').onclick = () => step(-1);
+  overlay.querySelector('[data-role="next"]').onclick = () => step(1);
+  overlay.querySelector('[data-role="close"]').onclick = close;
+  overlay.querySelector('[data-role="pick"]').onclick = () => runAction((id, i) => onReroll(id, i, 'pick'));
+  overlay.querySelector('[data-role="search"]').onclick = () => runAction((id, i) => onReroll(id, i, 'search'));
+  overlay.querySelector('[data-role="remove"]').onclick = async () => {
+    confirming = true;
+    const confirmed = await callGenericPopup('移除这张配图？', POPUP_TYPE.CONFIRM);
+    confirming = false;
+    if (confirmed) runAction(onRemove);
+  };
+  overlay.querySelector('[data-role="background"]').onclick = () => onSetBackground(list[position].image);
+
+  // 捕获阶段监听，避免方向键触发 SillyTavern 的 swipe
+  document.addEventListener('keydown', onKeyDown, true);
+
+  document.body.appendChild(overlay);
+  show(position);
+}
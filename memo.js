@@ -0,0 +1,113 @@
+import { getSettings } from './index.js';
+
+// ============ 搜索结果 / 选图结果缓存（IndexedDB） ============
+//
+// 每条记录: { key, kind, value, created }
+//   search  key = search|来源|[设置哈希|]候选数|[entity|]关键词，value 为搜索结果数组
+//   select  key = select|[text|]消息哈希|候选集哈希，value 为 { url, reason }；文字选图带 text| 前缀
+// 过期（result_cache_ttl 小时）的记录读到时删除。命中统计只记本次会话。
+
+const DB_NAME = 'AutoIllustResultCache';
+const STORE_NAME = 'entries';
+
+let dbPromise = null;
+
+const stats = {
+  search: { hits: 0, misses: 0 },
+  select: { hits: 0, misses: 0 },
+};
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('kind', 'kind');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const result = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(result?.result ?? result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function isExpired(entry) {
+  const ttl = (getSettings().result_cache_ttl ?? 72) * 60 * 60 * 1000;
+  return Date.now() - entry.created > ttl;
+}
+
+/**
+ * 读缓存，没有或已过期时调用 fn 并写入
+ * @param {'search'|'select'} kind
+ * @param {string} key
+ * @param {() => Promise<T>} fn
+ * @param {object} [options]
+ * @param {(value: T) => boolean} [options.shouldStore] 返回 false 时不写缓存（如空结果）
+ * @param {boolean} [options.refresh] 跳过读取，强制重新获取
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function memoize(kind, key, fn, { shouldStore = () => true, refresh = false } = {}) {
+  if (!getSettings().result_cache_enabled) return await fn();
+
+  const fullKey = `${kind}|${key}`;
+
+  if (!refresh) {
+    try {
+      const entry = await withStore('readonly', store => store.get(fullKey));
+      if (entry && !isExpired(entry)) {
+        stats[kind].hits++;
+        return entry.value;
+      }
+      if (entry) await withStore('readwrite', store => store.delete(fullKey));
+    } catch (e) {
+      console.warn('[AutoIllust] 读取结果缓存失败:', e);
+    }
+  }
+
+  stats[kind].misses++;
+  const value = await fn();
+
+  if (shouldStore(value)) {
+    try {
+      await withStore('readwrite', store => store.put({ key: fullKey, kind, value, created: Date.now() }));
+    } catch (e) {
+      console.warn('[AutoIllust] 写入结果缓存失败:', e);
+    }
+  }
+  return value;
+}
+
+/**
+ * @returns {Promise<{search: {hits: number, misses: number, count: number}, select: {hits: number, misses: number, count: number}}>}
+ */
+export async function getMemoStats() {
+  const counts = {};
+  for (const kind of Object.keys(stats)) {
+    counts[kind] = await withStore('readonly', store => store.index('kind').count(kind));
+  }
+
+  return Object.fromEntries(Object.entries(stats).map(([kind, s]) => [kind, { ...s, count: counts[kind] }]));
+}
+
+export async function clearMemo() {
+  await withStore('readwrite', store => store.clear());
+  for (const s of Object.values(stats)) {
+    s.hits = 0;
+    s.misses = 0;
+  }
+}
@@ -0,0 +1,259 @@
+import { getAvailableProviders } from './search.js';
+
+// ============ 候选图选择器（非全自动模式） ============
+
+function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function getDomain(candidate) {
+  if (candidate.domain) return candidate.domain;
+  try {
+    return new URL(candidate.link || candidate.url).hostname.replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function renderItem(candidate, recommendedUrls) {
+  const isRecommended = recommendedUrls.has(candidate.url);
+  const size = candidate.width && candidate.height ? `${candidate.width}×${candidate.height}` : '?';
+
+  return `
+    <div class="auto-illust-picker-item${isRecommended ? ' recommended' : ''}"
+         tabindex="0" data-url="${escapeHtml(candidate.url)}" title="${escapeHtml(candidate.title)}">
+      <img src="${escapeHtml(candidate.thumbnail || candidate.url)}" referrerpolicy="no-referrer"
+           onerror="this.style.visibility='hidden';" />
+      ${isRecommended ? '<span class="auto-illust-picker-badge">★ AI 推荐</span>' : ''}
+      <div class="auto-illust-picker-meta">${size} · ${escapeHtml(getDomain(candidate))}${candidate.license ? ` · ${escapeHtml(candidate.license)}` : ''}</div>
+    </div>`;
+}
+
+function renderGroup(query, list, recommended) {
+  const recommendedUrls = new Set(recommended.map(r => r.url));
+  const pick = recommended.find(r => r.query === query);
+
+  // 同一关键词下再按来源分组
+  const bySource = {};
+  for (const c of list) {
+    (bySource[c.source] ||= []).push(c);
+  }
+
+  const sections = Object.entries(bySource).map(([source, items]) => `
+    <div class="auto-illust-picker-source">via ${escapeHtml(source)}</div>
+    <div class="auto-illust-picker-grid">
+      ${items.map(c => renderItem(c, recommendedUrls)).join('')}
+    </div>`).join('');
+
+  return `
+    <section class="auto-illust-picker-group">
+      <h4>🔍 ${escapeHtml(query)} <small>${list.length} 张</small></h4>
+      ${pick?.reason ? `<div class="auto-illust-picker-reason">★ AI 推荐理由：${escapeHtml(pick.reason)}</div>` : ''}
+      ${list.length ? sections : '<div class="auto-illust-picker-empty">无结果</div>'}
+    </section>`;
+}
+
+/**
+ * 显示候选图选择器
+ * @param {object} options
+ * @param {Object<string, object[]>} options.candidates 每个关键词的候选图
+ * @param {object[]} options.recommended AI 选出的图（默认勾选）
+ * @param {(query: {query: string, source: string}) => Promise<object[]>} options.onSearch 弹窗内重新搜索
+ * @param {AbortSignal} [options.signal] 取消时关闭弹窗（切换聊天等），结果同跳过
+ * @returns {Promise<{selected: object[], candidates: Object<string, object[]>, searched: object[]} | null>}
+ *   取消时为 null；searched 是弹窗内新搜索过的关键词
+ */
+export function showImagePicker({ candidates, recommended = [], onSearch, signal }) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) {
+      resolve(null);
+      return;
+    }
+
+    let groups = { ...candidates };
+    const searched = [];
+    const selected = recommended.map(r => r.url);
+
+    const overlay = document.createElement('div');
+    overlay.className = 'auto-illust-picker-overlay';
+    overlay.innerHTML = `
+      <div class="auto-illust-picker" role="dialog">
+        <div class="auto-illust-picker-header">
+          <b>🖼️ 选择配图</b>
+          <div class="auto-illust-picker-search">
+            <input type="text" class="text_pole" placeholder="输入新关键词重新搜索..." />
+            <select class="text_pole">
+              <option value="both">全部来源</option>
+              ${getAvailableProviders().map(p => `<option value="${escapeHtml(p.id)}">${escapeHtml(p.name)}</option>`).join('')}
+            </select>
+            <button class="menu_button" data-role="search">搜索</button>
+          </div>
+        </div>
+        <div class="auto-illust-picker-body"></div>
+        <div class="auto-illust-picker-footer">
+          <small>←→↑↓ 移动 · 空格/回车 选择 · Ctrl+回车 确认 · Esc 跳过</small>
+          <span class="auto-illust-picker-count"></span>
+          <button class="menu_button" data-role="skip">❌ 跳过</button>
+          <button class="menu_button" data-role="confirm">✅ 使用所选</button>
+        </div>
+      </div>`;
+
+    const body = overlay.querySelector('.auto-illust-picker-body');
+    const searchInput = overlay.querySelector('.auto-illust-picker-search input');
+    const searchSource = overlay.querySelector('.auto-illust-picker-search select');
+    const searchBtn = overlay.querySelector('[data-role="search"]');
+
+    const allCandidates = () => Object.values(groups).flat();
+
+    const refreshSelection = () => {
+      body.querySelectorAll('.auto-illust-picker-item').forEach(el => {
+        const order = selected.indexOf(el.dataset.url);
+        el.classList.toggle('selected', order !== -1);
+        el.dataset.order = order !== -1 ? order + 1 : '';
+      });
+      overlay.querySelector('.auto-illust-picker-count').textContent = `已选 ${selected.length} 张`;
+    };
+
+    const render = () => {
+      body.innerHTML = Object.entries(groups)
+        .map(([query, list]) => renderGroup(query, list, recommended))
+        .join('');
+      refreshSelection();
+    };
+
+    const toggle = (url) => {
+      const i = selected.indexOf(url);
+      if (i === -1) selected.push(url);
+      else selected.splice(i, 1);
+      refreshSelection();
+    };
+
+    const close = (result) => {
+      document.removeEventListener('keydown', onKeyDown, true);
+      signal?.removeEventListener('abort', onAbort);
+      overlay.remove();
+      resolve(result);
+    };
+
+    const onAbort = () => close(null);
+
+    const confirm = () => {
+      const pool = allCandidates();
+      const images = selected
+        .map(url => pool.find(c => c.url === url))
+        .filter(Boolean);
+      close({ selected: images, candidates: groups, searched });
+    };
+
+    const search = async () => {
+      const query = searchInput.value.trim();
+      if (!query) return;
+
+      searchBtn.disabled = true;
+      searchBtn.textContent = '搜索中...';
+      try {
+        const q = { query, source: searchSource.value };
+        const results = await onSearch(q);
+        searched.push(q);
+        // 新搜索的结果放在最前面
+        const { [query]: _, ...rest } = groups;
+        groups = { [query]: results, ...rest };
+        render();
+        body.querySelector('.auto-illust-picker-item')?.focus();
+      } catch (e) {
+        console.error('[AutoIllust] 选择器内搜索失败:', e);
+        toastr.error(e.message, 'Auto Illustration');
+      } finally {
+        searchBtn.disabled = false;
+        searchBtn.textContent = '搜索';
+      }
+    };
+
+    // 方向键按网格移动焦点
+    const moveFocus = (key) => {
+      const items = Array.from(body.querySelectorAll('.auto-illust-picker-item'));
+      if (!items.length) return;
+
+      const current = items.indexOf(document.activeElement);
+      if (current === -1) {
+        items[0].focus();
+        return;
+      }
+
+      const rect = items[current].getBoundingClientRect();
+      let target = null;
+
+      if (key === 'ArrowLeft') target = items[current - 1];
+      if (key === 'ArrowRight') target = items[current + 1];
+      if (key === 'ArrowUp' || key === 'ArrowDown') {
+        const down = key === 'ArrowDown';
+        // 找垂直方向上最近、水平位置最接近的一张
+        target = items
+          .filter(el => {
+            const r = el.getBoundingClientRect();
+            return down ? r.top > rect.top + 5 : r.top < rect.top - 5;
+          })
+          .sort((a, b) => {
+            const ra = a.getBoundingClientRect();
+            const rb = b.getBoundingClientRect();
+            const dy = Math.abs(ra.top - rect.top) - Math.abs(rb.top - rect.top);
+            return dy !== 0 ? dy : Math.abs(ra.left - rect.left) - Math.abs(rb.left - rect.left);
+          })[0];
+      }
+
+      if (target) {
+        target.focus();
+        target.scrollIntoView({ block: 'nearest' });
+      }
+    };
+
+    const onKeyDown = (e) => {
+      if (e.target === searchInput) {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          search();
+        } else if (e.key === 'Escape') {
+          searchInput.blur();
+        }
+        return;
+      }
+
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        close(null);
+      } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        confirm();
+      } else if ((e.key === ' ' || e.key === 'Enter') && document.activeElement?.classList.contains('auto-illust-picker-item')) {
+        e.preventDefault();
+        toggle(document.activeElement.dataset.url);
+      } else if (e.key.startsWith('Arrow')) {
+        e.preventDefault();
+        moveFocus(e.key);
+      } else {
+        return;
+      }
+      e.stopPropagation();
+    };
+
+    body.addEventListener('click', (e) => {
+      const item = e.target.closest('.auto-illust-picker-item');
+      if (item) toggle(item.dataset.url);
+    });
+    searchBtn.onclick = search;
+    overlay.querySelector('[data-role="skip"]').onclick = () => close(null);
+    overlay.querySelector('[data-role="confirm"]').onclick = confirm;
+
+    // 捕获阶段监听，避免按键被 SillyTavern 的快捷键吃掉
+    document.addEventListener('keydown', onKeyDown, true);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    render();
+    document.body.appendChild(overlay);
+    (body.querySelector('.auto-illust-picker-item.recommended') || body.querySelector('.auto-illust-picker-item'))?.focus();
+  });
+}
@@ -0,0 +1,139 @@
+import { getContext, saveMetadataDebounced } from '../../../extensions.js';
+import { getGlobalSettings } from './index.js';
+
+// ============ 配置档 ============
+//
+// 配置档保存 PROFILE_KEYS 里的设置，可以绑定到角色（存在全局设置里，按头像文件名）
+// 或单个聊天（存在聊天元数据里）。聊天绑定优先于角色绑定。
+// 有生效的配置档时，getSettings() 读写这些键都落在配置档上，其余键仍是全局设置。
+
+export const PROFILE_KEYS = [
+  'enabled',
+  'search_preference',
+  'disabled_sources',
+  'wiki_fallback_languages',
+  'wiki_langlink_languages',
+  'show_caption',
+  'placement',
+  'auto_mode',
+  'min_message_length',
+  'max_queries',
+  'candidates_per_source',
+  'reillustrate_on_edit',
+  'gen_mode',
+  'gen_style',
+  'context_messages',
+  'context_character',
+  'context_world_info',
+  'prompt_extra',
+  'prompt_extract',
+  'prompt_select',
+  'domain_blocklist',
+  'domain_allowlist',
+  'domain_allowlist_only',
+  'safety_filter',
+  'open_license_only',
+];
+
+const CHAT_KEY = 'auto_illust_profile';
+
+function currentCharacterAvatar() {
+  const context = getContext();
+  // 群聊没有单一角色，只能按聊天绑定
+  if (context.groupId) return null;
+  return context.characters?.[context.characterId]?.avatar || null;
+}
+
+export function getProfileNames() {
+  return Object.keys(getGlobalSettings().profiles || {}).sort();
+}
+
+/**
+ * 当前聊天生效的配置档
+ * @returns {{name: string, values: object, boundTo: 'chat'|'character'}|null}
+ */
+export function getActiveProfile() {
+  const settings = getGlobalSettings();
+  const profiles = settings.profiles || {};
+
+  const chatProfile = getContext().chatMetadata?.[CHAT_KEY];
+  if (chatProfile && profiles[chatProfile]) {
+    return { name: chatProfile, values: profiles[chatProfile], boundTo: 'chat' };
+  }
+
+  const avatar = currentCharacterAvatar();
+  const characterProfile = avatar && settings.profile_characters?.[avatar];
+  if (characterProfile && profiles[characterProfile]) {
+    return { name: characterProfile, values: profiles[characterProfile], boundTo: 'character' };
+  }
+
+  return null;
+}
+
+/**
+ * 用当前生效的设置新建配置档
+ * @param {string} name
+ * @param {object} source 取值来源，一般是 getSettings()
+ */
+export function createProfile(name, source) {
+  const settings = getGlobalSettings();
+  settings.profiles ||= {};
+  settings.profiles[name] = Object.fromEntries(
+    PROFILE_KEYS.map(key => [key, structuredClone(source[key])]),
+  );
+}
+
+export function deleteProfile(name) {
+  const settings = getGlobalSettings();
+  delete settings.profiles?.[name];
+
+  // 其他聊天元数据里的绑定改不到，解析时找不到配置档会自动忽略
+  for (const [avatar, profile] of Object.entries(settings.profile_characters || {})) {
+    if (profile === name) delete settings.profile_characters[avatar];
+  }
+  if (getContext().chatMetadata?.[CHAT_KEY] === name) bindProfileToChat(null);
+}
+
+// name 为 null 时解除绑定
+export function bindProfileToChat(name) {
+  const metadata = getContext().chatMetadata;
+  if (!metadata) return false;
+
+  if (name) metadata[CHAT_KEY] = name;
+  else delete metadata[CHAT_KEY];
+  saveMetadataDebounced();
+  return true;
+}
+
+export function bindProfileToCharacter(name) {
+  const avatar = currentCharacterAvatar();
+  if (!avatar) return false;
+
+  const settings = getGlobalSettings();
+  settings.profile_characters ||= {};
+  if (name) settings.profile_characters[avatar] = name;
+  else delete settings.profile_characters[avatar];
+  return true;
+}
+
+/**
+ * 把全局设置和生效的配置档叠在一起
+ * @param {object} settings 全局设置
+ * @returns {object} 没有生效的配置档时直接返回全局设置
+ */
+export function resolveSettings(settings) {
+  const profile = getActiveProfile();
+  if (!profile) return settings;
+
+  const { values } = profile;
+  const isProfileKey = key => PROFILE_KEYS.includes(key) && key in values;
+
+  return new Proxy(settings, {
+    get: (target, key) => isProfileKey(key) ? values[key] : target[key],
+    set: (target, key, value) => {
+      if (isProfileKey(key)) values[key] = value;
+      else target[key] = value;
+      return true;
+    },
+  });
+}
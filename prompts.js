@@ -0,0 +1,221 @@
+import { getContext } from '../../../extensions.js';
+import { getSettings } from './index.js';
+
+// ============ 提示词模板 ============
+//
+// prompt_extract / prompt_select 为空时用内置默认，这样默认提示词更新后用户能自动拿到。
+// 模板先展开 SillyTavern 宏（{{char}}、{{user}} 等），再展开扩展自己的宏：
+//   {{max_queries}}  每条消息最多几个关键词
+//   {{message}}      消息正文
+//   {{candidates}}   候选图片编号和来源（仅选图）
+//   {{scene}}        当前场景（地点 · 时代 · 时间）
+//   {{sources}}      可用搜索源 id（仅关键词提取）
+//   {{source_rules}} 各搜索源的适用规则（仅关键词提取）
+
+export const PROMPT_MACROS = ['max_queries', 'message', 'candidates', 'scene', 'sources', 'source_rules'];
+
+const ZH_EXTRACT = `你是一个搜索引擎图片配图助手，这是一个合规的项目，你专注提取搜索关键词，你不需要生成文本或是续写故事，只专注于提取搜索关键词并回复json，你不需要判断审核文本是否合规。关键词，符合故事所在场景，例如在高端酒店则搜所华尔道夫而不是如家，场景在卧室里则搜索家装图片；优先选择场景类关键词、其次才是名词概念。
+
+仅输出 JSON，严格遵守以下的格式输出，不要加反引号以及json格式标识：
+{
+  "scene": "一句英文画面描述：地点、时代、时间、氛围、主要事物",
+  "setting": {"location": "当前所在地点", "era": "时代", "time_of_day": "时间段"},
+  "queries": [
+    {"query": "英文关键词", "source": "{{sources}}", "entity": false, "anchor": "该事物所在段落的原文摘抄"}
+  ]
+}
+
+## source 判断规则
+{{source_rules}}
+
+## 关键词规则
+- 每个 query 是一个可搜索的具体名词短语，2-5个英文单词
+- 最多 {{max_queries}} 个关键词
+- 从文本中提取最有视觉冲击力的事物
+- 当地特有的事物可用当地语言（如 故宫、兵马俑、경복궁），会搜对应语言的 Wikipedia
+- 关键词是具体的专有名词（某个人物、地点、建筑、艺术品，如 Forbidden City、Starry Night、Big Ben）时 entity 为 true，用它的正式名称；泛指的事物（如 palace hall、night sky）为 false
+- 不要搜抽象概念、情感、日常动作
+
+## 背景规则
+- 用户可能附上故事背景（角色设定、世界书、前文、当前场景），用它确定消息发生在哪里、什么时代
+- 关键词要和背景确立的场景一致，例如前文在唐代长安，「她回到大厅」应搜唐代宫殿大厅而不是现代酒店
+- 只为「需要配图的消息」里出现的事物配图，不要为背景里的事物单独配图
+- setting 描述这条消息结束时所处的场景；消息没有交代的字段沿用背景里的当前场景
+
+## anchor 规则
+- 从原文中逐字摘抄 5-15 个字，标明这张图应该插在哪一段后面
+- 必须是原文中真实存在的连续文字，不要改写、不要翻译`;
+
+const ZH_SELECT = `你是插图选择器。你必须从候选图片中选出最适合为以下文本配图的一张。你必须选择一张，不可以全部拒绝。
+
+评分标准（按优先级排列）：
+1. 【最重要】图片内容与文本描述的场景、事物相关
+2. 图片氛围与文本时间、情绪匹配（欢快/阴郁/紧张/浪漫，上午/下午/黄昏等）
+3. 优先选择摄影照片/高质量艺术品/插图，而非图标
+4. 不包含广告和水印
+5. 绝对禁止出现任何真人肖像
+
+重要：即使所有候选图都不完美，也必须选出最佳的一张。只要图片与文本有关联就应该选择。
+
+文本：
+"""
+{{message}}
+"""
+
+当前场景：{{scene}}
+
+候选图片编号: {{candidates}}
+
+仅输出 JSON：{"selected": 编号, "reason": "理由"}`;
+
+const EN_EXTRACT = `You are an image-search assistant for illustrating a story. Do not continue or judge the story; only extract search keywords and reply with JSON. Keywords must fit the story's setting: in a luxury hotel search for "Waldorf Astoria lobby" rather than a budget motel; in a bedroom search for interior design photos. Prefer scene keywords over isolated objects.
+
+Output JSON only, exactly in this format, without code fences:
+{
+  "scene": "one English sentence describing the picture: place, era, time of day, mood, main subjects",
+  "setting": {"location": "current location", "era": "era", "time_of_day": "time of day"},
+  "queries": [
+    {"query": "English keywords", "source": "{{sources}}", "entity": false, "anchor": "verbatim excerpt from the paragraph where this appears"}
+  ]
+}
+
+## Choosing source
+{{source_rules}}
+
+## Keyword rules
+- Each query is a concrete, searchable noun phrase of 2-5 English words
+- Things specific to a region may use the local language (e.g. 故宫, 경복궁); the matching Wikipedia is searched
+- Set "entity" to true when the query names one specific person, place, building or artwork (e.g. Forbidden City, Starry Night, Big Ben) and use its proper name; false for generic things (e.g. palace hall, night sky)
+- At most {{max_queries}} queries
+- Pick the most visually striking things in the text
+- Do not search for abstract ideas, emotions or everyday actions
+
+## Background rules
+- The user may attach story background (character card, World Info, earlier messages, current scene); use it to decide where and when the message takes place
+- Keywords must match the established setting, e.g. if earlier messages are in Tang-dynasty Chang'an, "she returned to the hall" means a Tang palace hall, not a modern hotel
+- Only illustrate things that appear in the message itself, not things that only appear in the background
+- "setting" describes where the message ends; keep fields from the current scene that the message does not change
+
+## Anchor rules
+- Copy 5-15 characters verbatim from the text to mark the paragraph the image belongs after
+- It must be real contiguous text from the message; do not paraphrase or translate`;
+
+const EN_SELECT = `You are an illustration picker. Choose the one candidate image that best illustrates the text below. You must choose one; rejecting all is not allowed.
+
+Criteria, in priority order:
+1. [Most important] The image shows the scene or things described in the text
+2. The mood matches the text's time and emotion (cheerful / gloomy / tense / romantic, morning / afternoon / dusk)
+3. Prefer photographs, quality artwork or illustrations over icons
+4. No advertising or watermarks
+5. Never choose portraits of real people
+
+Even if no candidate is perfect, pick the best one as long as it relates to the text.
+
+Text:
+"""
+{{message}}
+"""
+
+Current scene: {{scene}}
+
+Candidate numbers: {{candidates}}
+
+Output JSON only: {"selected": number, "reason": "why"}`;
+
+// 在某一行后面插入规则，用来从默认提示词派生预设
+function withRule(template, afterLine, rule) {
+  return template.replace(afterLine, `${afterLine}\n${rule}`);
+}
+
+function replaceLine(template, line, replacement) {
+  return template.replace(line, replacement);
+}
+
+export const BUILTIN_PRESETS = {
+  '默认（中文）': { extract: ZH_EXTRACT, select: ZH_SELECT },
+  'English': { extract: EN_EXTRACT, select: EN_SELECT },
+  '只要艺术作品': {
+    extract: withRule(ZH_EXTRACT, '- 不要搜抽象概念、情感、日常动作',
+      '- 只搜绘画、版画、插画等艺术作品，关键词末尾加 painting、engraving 或 illustration'),
+    select: replaceLine(ZH_SELECT, '3. 优先选择摄影照片/高质量艺术品/插图，而非图标',
+      '3. 只选绘画、版画、插画等艺术作品，照片排在最后'),
+  },
+  '写实照片': {
+    extract: withRule(ZH_EXTRACT, '- 不要搜抽象概念、情感、日常动作',
+      '- 只搜真实照片，关键词可加 photo，不要搜绘画和插画'),
+    select: replaceLine(ZH_SELECT, '3. 优先选择摄影照片/高质量艺术品/插图，而非图标',
+      '3. 只选真实摄影照片，绘画、插画、渲染图排在最后'),
+  },
+};
+
+export const DEFAULT_PRESET = '默认（中文）';
+
+/**
+ * 当前生效的模板（设置为空时用默认）
+ * @param {'extract'|'select'} kind
+ */
+export function getPromptTemplate(kind) {
+  return getSettings()[`prompt_${kind}`] || BUILTIN_PRESETS[DEFAULT_PRESET][kind];
+}
+
+/**
+ * 展开模板里的宏
+ * @param {string} template
+ * @param {Object<string, string|number>} values 扩展宏的值，没提供的宏原样保留
+ */
+export function renderPrompt(template, values) {
+  const substitute = getContext().substituteParams || (text => text);
+  return substitute(template).replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    const key = name.toLowerCase();
+    return PROMPT_MACROS.includes(key) && values[key] !== undefined ? String(values[key]) : match;
+  });
+}
+
+// ============ 预设 ============
+
+export function getPresetNames() {
+  return [...Object.keys(BUILTIN_PRESETS), ...Object.keys(getSettings().prompt_presets || {})];
+}
+
+export function getPreset(name) {
+  return BUILTIN_PRESETS[name] || getSettings().prompt_presets?.[name] || null;
+}
+
+export function isBuiltinPreset(name) {
+  return name in BUILTIN_PRESETS;
+}
+
+export function savePreset(name, preset) {
+  const settings = getSettings();
+  settings.prompt_presets = { ...(settings.prompt_presets || {}), [name]: preset };
+}
+
+export function deletePreset(name) {
+  const settings = getSettings();
+  const { [name]: _, ...rest } = settings.prompt_presets || {};
+  settings.prompt_presets = rest;
+}
+
+// 空字符串表示默认，和默认相同的也存成空
+export function applyPreset(preset) {
+  const settings = getSettings();
+  const defaults = BUILTIN_PRESETS[DEFAULT_PRESET];
+  settings.prompt_extract = preset.extract === defaults.extract ? '' : preset.extract;
+  settings.prompt_select = preset.select === defaults.select ? '' : preset.select;
+}
+
+/**
+ * 解析导入的预设文件
+ * @param {string} text 文件内容：单个 {name, extract, select} 或它们的数组
+ * @returns {{name: string, extract: string, select: string}[]}
+ * @throws {Error} 格式不对
+ */
+export function parsePresetFile(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : [data];
+
+  const presets = list.filter(p => p && typeof p.name === 'string'
+    && typeof p.extract === 'string' && typeof p.select === 'string');
+  if (!presets.length) throw new Error('文件里没有有效的预设（需要 name、extract、select）');
+  return presets;
+}
@@ -0,0 +1,211 @@
+import { getSettings } from './index.js';
+import { renderQueueStatus } from './ui.js';
+
+// ============ 配图任务队列 ============
+//
+// 每条消息同时最多一个任务（按消息对象区分，删除消息导致 mesid 变化也不受影响），
+// 同时运行的任务数受 queue_concurrency 限制，其余排队。
+// 任务拿到一个 AbortSignal，切换聊天 / 删除消息时取消。
+// 等用户操作（候选图选择器）时用 waitForUser 让出名额，免得一个弹窗卡住整个队列。
+
+const jobs = new Map();  // message → job
+const pending = [];
+let running = 0;
+
+export class JobBusyError extends Error {
+  constructor() {
+    super('这条消息已有配图任务在进行');
+    this.name = 'JobBusyError';
+  }
+}
+
+export function isAbortError(e) {
+  return e?.name === 'AbortError';
+}
+
+const STATE_ICONS = { running: '▶', pending: '…', waiting: '⏸' };
+
+function notify() {
+  renderQueueStatus({
+    running,
+    pending: pending.length,
+    labels: Array.from(jobs.values(), job => `${STATE_ICONS[job.state]} ${job.label}`),
+  });
+}
+
+function pump() {
+  const limit = Math.max(1, getSettings().queue_concurrency || 1);
+  while (running < limit && pending.length) {
+    start(pending.shift());
+  }
+  notify();
+}
+
+async function start(job) {
+  running++;
+  job.state = 'running';
+  notify();
+
+  try {
+    job.resolve(await job.run(job.controller.signal));
+  } catch (e) {
+    job.reject(e);
+  } finally {
+    running--;
+    jobs.delete(job.message);
+    pump();
+  }
+}
+
+/**
+ * 把一条消息的配图任务加入队列
+ * @param {object} message 聊天数组里的消息对象
+ * @param {string} label 状态提示里显示的名称
+ * @param {(signal: AbortSignal) => Promise<T>} run
+ * @returns {Promise<T>} 被取消时以 AbortError 拒绝；该消息已有任务时以 JobBusyError 拒绝
+ * @template T
+ */
+export function enqueueJob(message, label, run) {
+  if (jobs.has(message)) return Promise.reject(new JobBusyError());
+
+  return new Promise((resolve, reject) => {
+    const job = {
+      message,
+      label,
+      run,
+      resolve,
+      reject,
+      state: 'pending',
+      controller: new AbortController(),
+    };
+
+    jobs.set(message, job);
+    pending.push(job);
+    pump();
+  });
+}
+
+/**
+ * 等用户操作期间让出并发名额，其他任务可以先跑；这条消息仍算有任务
+ * @param {AbortSignal} signal 任务拿到的信号，用来找到是哪个任务
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function waitForUser(signal, fn) {
+  const job = Array.from(jobs.values()).find(j => j.controller.signal === signal);
+  if (job?.state !== 'running') return await fn();
+
+  job.state = 'waiting';
+  running--;
+  pump();
+
+  try {
+    return await fn();
+  } finally {
+    // 之后只剩插入配图，直接接着跑，不再排队
+    job.state = 'running';
+    running++;
+    notify();
+  }
+}
+
+export function hasJob(message) {
+  return jobs.has(message);
+}
+
+function cancel(job) {
+  const index = pending.indexOf(job);
+  if (index !== -1) {
+    // 还没开始的任务直接出队
+    pending.splice(index, 1);
+    jobs.delete(job.message);
+    job.reject(new DOMException('任务已取消', 'AbortError'));
+  }
+  job.controller.abort();
+}
+
+export function cancelAllJobs() {
+  if (!jobs.size) return;
+  console.log(`[AutoIllust] 取消 ${jobs.size} 个配图任务`);
+  Array.from(jobs.values()).forEach(cancel);
+  notify();
+}
+
+// 取消消息已不在当前聊天里的任务（消息被删除）
+export function cancelOrphanJobs(chat) {
+  for (const job of Array.from(jobs.values())) {
+    if (!chat?.includes(job.message)) {
+      console.log('[AutoIllust] 消息已删除，取消任务:', job.label);
+      cancel(job);
+    }
+  }
+  notify();
+}
+
+// ============ 超时 + 重试 ============
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new DOMException('任务已取消', 'AbortError'));
+    }, { once: true });
+  });
+}
+
+/**
+ * 带超时和指数退避重试的 fetch。网络错误、超时、429、5xx 会重试，其他状态码原样返回
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {object} options
+ * @param {AbortSignal} [options.signal] 任务取消信号
+ * @param {number} [options.retries] 默认取 step_retries 设置
+ * @param {number} [options.timeout] 毫秒，默认取 step_timeout 设置
+ * @param {string} [options.label] 日志里显示的名称
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithRetry(url, init = {}, options = {}) {
+  const settings = getSettings();
+  const {
+    signal,
+    retries = settings.step_retries ?? 2,
+    timeout = (settings.step_timeout ?? 60) * 1000,
+    label = url,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    signal?.throwIfAborted();
+
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, timeout);
+
+    try {
+      const resp = await fetch(url, { ...init, signal: controller.signal });
+      if ((resp.status === 429 || resp.status >= 500) && attempt < retries) {
+        throw new Error(`HTTP ${resp.status}`);
+      }
+      return resp;
+    } catch (e) {
+      if (signal?.aborted) throw new DOMException('任务已取消', 'AbortError');
+
+      const error = timedOut ? new Error(`${label} 请求超时（${timeout / 1000} 秒）`) : e;
+      if (attempt >= retries) throw error;
+
+      const delay = 1000 * 2 ** attempt + Math.random() * 500;
+      console.warn(`[AutoIllust] ${label} 失败，${Math.round(delay)}ms 后重试 (${attempt + 1}/${retries}):`, error.message);
+      await sleep(delay, signal);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+}
@@ -0,0 +1,207 @@
+import { getSettings } from './index.js';
+import { fetchWithRetry } from './queue.js';
+
+// ============ 候选图本地预排序 ============
+//
+// 在搜索和看图选图之间，不花 token：
+//   1. 已知尺寸且短边小于 rank_min_size 的直接丢掉
+//   2. 按 搜索排名 + 分辨率 + 长宽比 打分（超宽全景、细长条扣分），Wikidata 条目图始终在前
+//   3. 按分数顺序下载缩略图算感知哈希，和已留下的图太像的丢掉（同一张图的不同尺寸、轻微裁切）
+//   4. 只留前 rank_top_n 张发给看图模型
+
+// ============ 缩略图 ============
+
+const MAX_THUMBNAILS = 64;
+const thumbnailCache = new Map();
+
+async function downloadThumbnail(url, signal) {
+  try {
+    // 缩略图不重试，下载不了就少一张候选
+    const resp = await fetchWithRetry(url, {
+      referrerPolicy: 'no-referrer',
+      mode: 'cors',
+    }, { signal, retries: 0, label: '缩略图' });
+    if (!resp.ok) return null;
+    const blob = await resp.blob();
+    return blob.type.startsWith('image/') ? blob : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * 下载候选图的缩略图，失败返回 null
+ * 排序算哈希和看图选图用的是同一批缩略图，会话内按 URL 复用，不重复下载
+ * @returns {Promise<Blob|null>}
+ */
+export function fetchThumbnail(candidate, signal) {
+  const url = candidate.thumbnail || candidate.url;
+
+  if (!thumbnailCache.has(url)) {
+    thumbnailCache.set(url, downloadThumbnail(url, signal).then((blob) => {
+      // 失败的不留，下次再试
+      if (!blob) thumbnailCache.delete(url);
+      return blob;
+    }));
+    if (thumbnailCache.size > MAX_THUMBNAILS) {
+      thumbnailCache.delete(thumbnailCache.keys().next().value);
+    }
+  }
+  return thumbnailCache.get(url);
+}
+
+// ============ 感知哈希（pHash） ============
+//
+// 缩成 32×32 灰度图，做二维 DCT，取左上角 8×8 低频系数（去掉直流分量）
+// 和中位数比较得到 64 位；两张图相差不超过 DUPLICATE_DISTANCE 位视为同一张。
+
+const HASH_SAMPLE = 32;
+const HASH_LOW = 8;
+const DUPLICATE_DISTANCE = 10;
+
+const COSINES = Array.from({ length: HASH_LOW }, (_, u) =>
+  Array.from({ length: HASH_SAMPLE }, (_, x) => Math.cos((2 * x + 1) * u * Math.PI / (2 * HASH_SAMPLE))));
+
+const hashCache = new Map();
+
+async function computeHash(blob) {
+  const bitmap = await createImageBitmap(blob);
+  const canvas = document.createElement('canvas');
+  canvas.width = HASH_SAMPLE;
+  canvas.height = HASH_SAMPLE;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(bitmap, 0, 0, HASH_SAMPLE, HASH_SAMPLE);
+  bitmap.close();
+
+  const { data } = ctx.getImageData(0, 0, HASH_SAMPLE, HASH_SAMPLE);
+  const gray = new Float64Array(HASH_SAMPLE * HASH_SAMPLE);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = data[i * 4] * 0.299 + data[i * 4 + 1] * 0.587 + data[i * 4 + 2] * 0.114;
+  }
+
+  const coefficients = [];
+  for (let u = 0; u < HASH_LOW; u++) {
+    for (let v = 0; v < HASH_LOW; v++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SAMPLE; y++) {
+        for (let x = 0; x < HASH_SAMPLE; x++) {
+          sum += gray[y * HASH_SAMPLE + x] * COSINES[u][x] * COSINES[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const ac = coefficients.slice(1);
+  const median = [...ac].sort((a, b) => a - b)[Math.floor(ac.length / 2)];
+  return coefficients.map(c => c > median);
+}
+
+// 拿不到缩略图或解码失败时为 null，这样的候选不参与去重
+async function getHash(candidate, signal) {
+  const url = candidate.thumbnail || candidate.url;
+  if (hashCache.has(url)) return hashCache.get(url);
+
+  const blob = await fetchThumbnail(candidate, signal);
+  if (!blob) return null;
+
+  try {
+    const hash = await computeHash(blob);
+    hashCache.set(url, hash);
+    if (hashCache.size > MAX_THUMBNAILS) hashCache.delete(hashCache.keys().next().value);
+    return hash;
+  } catch {
+    return null;
+  }
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) distance++;
+  }
+  return distance;
+}
+
+// ============ 打分 ============
+
+function isTooSmall(candidate, minSize) {
+  const { width, height } = candidate;
+  // 尺寸未知的留着，AI 生成图不过滤
+  if (!width || !height || candidate.source === 'generated') return false;
+  return Math.min(width, height) < minSize;
+}
+
+/**
+ * @param {object} candidate
+ * @param {number} position 在搜索结果中的位置
+ * @param {number} total
+ * @returns {number} 越大越好
+ */
+function scoreCandidate(candidate, position, total) {
+  const { width, height } = candidate;
+
+  // 0~1：搜索排名越靠前越好
+  const relevance = 1 - position / total;
+
+  // 0~1：短边到 1000px 满分；尺寸未知给中间分
+  const resolution = width && height ? Math.min(1, Math.min(width, height) / 1000) : 0.5;
+
+  // 0~1：长宽比 1.8:1 以内（含竖图）满分，到 3.5:1 扣光
+  const ratio = width && height ? Math.max(width, height) / Math.min(width, height) : 1.5;
+  const aspect = ratio <= 1.8 ? 1 : Math.max(0, 1 - (ratio - 1.8) / 1.7);
+
+  return (candidate.entity ? 1 : 0) + relevance * 0.5 + resolution * 0.25 + aspect * 0.25;
+}
+
+// ============ 入口 ============
+
+/**
+ * 过滤、排序并去重，返回最多 rank_top_n 张候选
+ * @param {object[]} candidates
+ * @param {AbortSignal} [signal]
+ * @param {object} [options]
+ * @param {boolean} [options.dedupe] 是否下载缩略图去重，不看图时没必要
+ * @returns {Promise<object[]>}
+ */
+export async function rankCandidates(candidates, signal, { dedupe = true } = {}) {
+  const settings = getSettings();
+  const topN = Math.max(1, settings.rank_top_n || 5);
+
+  const sized = candidates.filter(c => !isTooSmall(c, settings.rank_min_size || 0));
+  if (sized.length < candidates.length) {
+    console.log(`[AutoIllust] 丢掉 ${candidates.length - sized.length} 张小于 ${settings.rank_min_size}px 的候选`);
+  }
+
+  const sorted = sized
+    .map((c, i) => ({ c, score: scoreCandidate(c, i, sized.length) }))
+    .sort((a, b) => b.score - a.score)
+    .map(item => item.c);
+
+  if (!dedupe || !settings.rank_dedupe || sorted.length <= 1) return sorted.slice(0, topN);
+
+  const kept = [];
+  const keptHashes = [];
+
+  // 每次只下载还差的张数，凑够 topN 张不重复的就停
+  for (let next = 0; next < sorted.length && kept.length < topN;) {
+    const batch = sorted.slice(next, next + topN - kept.length);
+    next += batch.length;
+
+    const hashes = await Promise.all(batch.map(c => getHash(c, signal)));
+    signal?.throwIfAborted();
+
+    batch.forEach((c, i) => {
+      const hash = hashes[i];
+      const duplicate = hash && keptHashes.find(h => hammingDistance(h, hash) <= DUPLICATE_DISTANCE);
+      if (duplicate) {
+        console.log(`[AutoIllust] 去掉重复候选: ${c.url}`);
+        return;
+      }
+      kept.push(c);
+      if (hash) keptHashes.push(hash);
+    });
+  }
+
+  return kept;
+}
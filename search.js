@@ -1,40 +1,170 @@
+import { getStringHash } from '../../../utils.js';
 import { getSettings } from './index.js';
+import { fetchWithRetry, isAbortError } from './queue.js';
+import { memoize } from './memo.js';
+import { recordSearch } from './usage.js';
+import { checkDomains } from './filter.js';
+
+// ============ 署名 / 授权 ============
+//
+// 候选图尽量带上署名信息，随配图一起存进消息元数据：
+//   author       作者
+//   license      授权简称，如 CC BY-SA 4.0、Public domain
+//   license_url  授权条款链接
+//   link         来源页面（Commons 文件页、图库作品页、Google 结果所在网页）
+
+function stripHtml(html) {
+  if (!html) return '';
+  return new DOMParser().parseFromString(String(html), 'text/html').body.textContent.trim();
+}
+
+// 从 imageinfo 的 extmetadata 里取署名，顺带取图片说明（文字选图用）
+function parseWikimediaCredit(info) {
+  const meta = info?.extmetadata || {};
+  const description = stripHtml(meta.ImageDescription?.value);
+  return {
+    description: description.length > 300 ? `${description.substring(0, 300)}…` : description,
+    author: stripHtml(meta.Artist?.value),
+    license: stripHtml(meta.LicenseShortName?.value),
+    license_url: meta.LicenseUrl?.value || '',
+    link: info?.descriptionurl || '',
+  };
+}
+
+// 批量查文件的署名，返回 文件标题 → 署名；查不到时返回空 Map，不影响搜索结果
+async function fetchWikimediaCredits(host, titles, signal) {
+  const credits = new Map();
+  if (!titles.length) return credits;
+
+  try {
+    const url = `https://${host}/w/api.php` +
+      `?action=query&titles=${encodeURIComponent(titles.join('|'))}` +
+      `&prop=imageinfo&iiprop=url|extmetadata` +
+      `&format=json&origin=*`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Wikimedia' });
+    const data = await resp.json();
+    for (const page of Object.values(data.query?.pages || {})) {
+      const info = page.imageinfo?.[0];
+      if (info) credits.set(page.title, parseWikimediaCredit(info));
+    }
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.warn('[AutoIllust] 获取 Wikimedia 署名失败:', e);
+  }
+  return credits;
+}
 
 // ============ Wikimedia 搜索 ============
 
+function hasLeadImage(page) {
+  return page.original && /\.(jpe?g|png|webp)/i.test(page.original.source);
+}
+
+// 文章主图转成候选图，顺便查署名
+async function toArticleCandidates(pages, lang, signal) {
+  // 文章主图可能在 Commons 也可能是本地文件，用本站 API 查都能查到
+  const fileTitle = p => `File:${String(p.pageimage || '').replace(/_/g, ' ')}`;
+  const credits = await fetchWikimediaCredits(
+    `${lang}.wikipedia.org`,
+    pages.filter(p => p.pageimage).map(fileTitle),
+    signal,
+  );
+
+  return pages.map(p => ({
+    url: p.original.source,
+    thumbnail: p.original.source.replace(/\/commons\//, '/commons/thumb/') + '/800px-' + p.original.source.split('/').pop(),
+    title: p.title || '',
+    source: `${lang}.wikipedia`,
+    width: p.original.width || 0,
+    height: p.original.height || 0,
+    link: `https://${lang}.wikipedia.org/wiki/${encodeURIComponent(p.title.replace(/ /g, '_'))}`,
+    ...credits.get(fileTitle(p)),
+  }));
+}
+
 // 策略1: Wikipedia 文章主图
-async function searchWikipediaArticle(query, lang) {
+// 返回候选图和排第一的文章标题（即使它没有主图，也可以从它跟随跨语言链接）
+async function searchWikipediaArticle(query, lang, signal) {
   try {
     const url = `https://${lang}.wikipedia.org/w/api.php` +
       `?action=query&generator=search` +
       `&gsrsearch=${encodeURIComponent(query)}` +
-      `&gsrlimit=5&prop=pageimages&piprop=original` +
+      `&gsrlimit=5&prop=pageimages&piprop=original|name` +
       `&format=json&origin=*`;
 
-    const resp = await fetch(url);
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Wikipedia' });
     const data = await resp.json();
     const pages = Object.values(data.query?.pages || {});
 
     pages.sort((a, b) => (a.index || 0) - (b.index || 0));
 
-    return pages
-      .filter(p => p.original && /\.(jpe?g|png|webp)/i.test(p.original.source))
-      .map(p => ({
-        url: p.original.source,
-        thumbnail: p.original.source.replace(/\/commons\//, '/commons/thumb/') + '/800px-' + p.original.source.split('/').pop(),
-        title: p.title || '',
-        source: `${lang}.wikipedia`,
-        width: p.original.width || 0,
-        height: p.original.height || 0,
-      }));
+    return {
+      candidates: await toArticleCandidates(pages.filter(hasLeadImage), lang, signal),
+      topTitle: pages[0]?.title || '',
+    };
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error(`[AutoIllust] Wikipedia (${lang}) 搜索失败:`, e);
+    return { candidates: [], topTitle: '' };
+  }
+}
+
+// 取单篇文章的主图信息（不查署名）
+async function fetchLeadImage(lang, title, signal) {
+  try {
+    const url = `https://${lang}.wikipedia.org/w/api.php` +
+      `?action=query&titles=${encodeURIComponent(title)}` +
+      `&prop=pageimages&piprop=original|name&redirects=1` +
+      `&format=json&origin=*`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Wikipedia' });
+    const data = await resp.json();
+    const page = Object.values(data.query?.pages || {})[0];
+    return page && hasLeadImage(page) ? { lang, page } : null;
   } catch (e) {
-    console.error('[AutoIllust] Wikipedia 搜索失败:', e);
+    if (isAbortError(e)) throw e;
+    return null;
+  }
+}
+
+/**
+ * 沿跨语言链接找同一篇文章在其他语言版本里的主图，取分辨率最高、且和已有结果不重复的一张
+ * @param {string} title 文章标题
+ * @param {string} lang 文章所在语言
+ * @param {string[]} targets 考虑的语言版本
+ * @param {Set<string>} seen 已有的图片 URL
+ */
+async function followLanglinks(title, lang, targets, seen, signal) {
+  try {
+    const url = `https://${lang}.wikipedia.org/w/api.php` +
+      `?action=query&titles=${encodeURIComponent(title)}` +
+      `&prop=langlinks&lllimit=max&redirects=1` +
+      `&format=json&origin=*`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Wikipedia' });
+    const data = await resp.json();
+    const links = (Object.values(data.query?.pages || {})[0]?.langlinks || [])
+      .filter(link => link.lang !== lang && targets.includes(link.lang));
+    if (!links.length) return [];
+
+    const found = (await Promise.all(links.map(link => fetchLeadImage(link.lang, link['*'], signal))))
+      .filter(item => item && !seen.has(item.page.original.source));
+    if (!found.length) return [];
+
+    const area = ({ page }) => (page.original.width || 0) * (page.original.height || 0);
+    const best = found.reduce((a, b) => area(b) > area(a) ? b : a);
+    console.log(`[AutoIllust] 跨语言链接: ${lang}:${title} → ${best.lang}:${best.page.title}`);
+    return await toArticleCandidates([best.page], best.lang, signal);
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.warn('[AutoIllust] 跟随跨语言链接失败:', e);
     return [];
   }
 }
 
 // 策略2: Wikimedia Commons 搜文件
-async function searchWikimediaCommons(query) {
+async function searchWikimediaCommons(query, signal) {
   try {
     // 搜索文件
     const searchUrl = `https://commons.wikimedia.org/w/api.php` +
@@ -42,60 +172,153 @@ async function searchWikimediaCommons(query) {
       `&srsearch=${encodeURIComponent(query)}` +
       `&srnamespace=6&srlimit=8&format=json&origin=*`;
 
-    const searchResp = await fetch(searchUrl);
+    const searchResp = await fetchWithRetry(searchUrl, {}, { signal, label: 'Commons' });
     const searchData = await searchResp.json();
     const results = searchData.query?.search;
     if (!results?.length) return [];
 
-    // 获取图片信息
-    const titles = results.map(r => r.title).join('|');
-    const infoUrl = `https://commons.wikimedia.org/w/api.php` +
-      `?action=query&titles=${encodeURIComponent(titles)}` +
-      `&prop=imageinfo&iiprop=url|mime|extmetadata|size` +
+    return await fetchCommonsFiles(results.map(r => r.title), signal);
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] Commons 搜索失败:', e);
+    return [];
+  }
+}
+
+/**
+ * 取 Commons 文件的图片信息并转成候选图，按传入顺序
+ * @param {string[]} titles 文件标题（File:xxx.jpg）
+ * @param {AbortSignal} [signal]
+ * @param {object} [fields] 附加到每个候选图上的字段
+ */
+async function fetchCommonsFiles(titles, signal, fields = {}) {
+  if (!titles.length) return [];
+
+  const infoUrl = `https://commons.wikimedia.org/w/api.php` +
+    `?action=query&titles=${encodeURIComponent(titles.join('|'))}` +
+    `&prop=imageinfo&iiprop=url|mime|extmetadata|size` +
+    `&format=json&origin=*`;
+
+  const infoResp = await fetchWithRetry(infoUrl, {}, { signal, label: 'Commons' });
+  const infoData = await infoResp.json();
+  const pages = Object.values(infoData.query?.pages || {});
+  const order = title => titles.findIndex(t => t.replace(/_/g, ' ') === title);
+
+  return pages
+    .filter(p => {
+      const info = p.imageinfo?.[0];
+      return info?.mime?.startsWith('image/') &&
+        !info.mime.includes('svg') &&
+        (info.width || 0) > 200;  // 过滤太小的图
+    })
+    .sort((a, b) => order(a.title) - order(b.title))
+    .map(p => {
+      const info = p.imageinfo[0];
+      const filename = p.title.replace('File:', '');
+      return {
+        url: info.url,
+        thumbnail: `https://commons.wikimedia.org/w/thumb.php?f=${encodeURIComponent(filename)}&w=800`,
+        title: p.title.replace('File:', '').replace(/\.\w+$/, '').replace(/_/g, ' '),
+        source: 'commons',
+        width: info.width || 0,
+        height: info.height || 0,
+        ...parseWikimediaCredit(info),
+        ...fields,
+      };
+    });
+}
+
+// ============ Wikidata 条目图 ============
+//
+// 专有名词（具体的人物、地点、建筑、艺术品）先在 Wikidata 找到条目，
+// 直接用条目上登记的图片，比全文搜索到的文章配图可靠得多。
+// 只接受标签或别名和关键词完全一致的条目，对不上就交给普通搜索。
+
+// 条目的图片属性，按优先级：图像、夜景、室内、鸟瞰、全景
+const WIKIDATA_IMAGE_PROPERTIES = ['P18', 'P3451', 'P5775', 'P8592', 'P4291'];
+
+function normalizeEntityName(text) {
+  return String(text || '').toLowerCase().replace(/^the\s+/, '').replace(/[\s\p{P}]/gu, '');
+}
+
+function getEntityImages(entity) {
+  return WIKIDATA_IMAGE_PROPERTIES.flatMap(property => (entity.claims?.[property] || [])
+    .filter(claim => claim.rank !== 'deprecated')
+    .map(claim => claim.mainsnak?.datavalue?.value)
+    .filter(value => typeof value === 'string'));
+}
+
+async function searchWikidataEntity(query, signal) {
+  try {
+    const lang = detectQueryLanguage(query);
+    const searchUrl = `https://www.wikidata.org/w/api.php` +
+      `?action=wbsearchentities&search=${encodeURIComponent(query)}` +
+      `&language=${lang}&uselang=${lang}&type=item&limit=5` +
       `&format=json&origin=*`;
 
-    const infoResp = await fetch(infoUrl);
-    const infoData = await infoResp.json();
-    const pages = Object.values(infoData.query?.pages || {});
-
-    return pages
-      .filter(p => {
-        const info = p.imageinfo?.[0];
-        return info?.mime?.startsWith('image/') &&
-          !info.mime.includes('svg') &&
-          (info.width || 0) > 200;  // 过滤太小的图
-      })
-      .map(p => {
-        const info = p.imageinfo[0];
-        const filename = p.title.replace('File:', '');
-        return {
-          url: info.url,
-          thumbnail: `https://commons.wikimedia.org/w/thumb.php?f=${encodeURIComponent(filename)}&w=800`,
-          title: p.title.replace('File:', '').replace(/\.\w+$/, '').replace(/_/g, ' '),
-          source: 'commons',
-          width: info.width || 0,
-          height: info.height || 0,
-        };
+    const searchResp = await fetchWithRetry(searchUrl, {}, { signal, label: 'Wikidata' });
+    const searchData = await searchResp.json();
+    const name = normalizeEntityName(query);
+    const ids = (searchData.search || [])
+      .filter(item => normalizeEntityName(item.match?.text) === name || normalizeEntityName(item.label) === name)
+      .map(item => item.id);
+    if (!ids.length) return [];
+
+    const entitiesUrl = `https://www.wikidata.org/w/api.php` +
+      `?action=wbgetentities&ids=${ids.join('|')}&props=claims|labels` +
+      `&languages=${lang}|en&format=json&origin=*`;
+
+    const entitiesResp = await fetchWithRetry(entitiesUrl, {}, { signal, label: 'Wikidata' });
+    const entitiesData = await entitiesResp.json();
+
+    // 同名条目按搜索排名取第一个有图的
+    for (const id of ids) {
+      const entity = entitiesData.entities?.[id];
+      const files = entity ? getEntityImages(entity) : [];
+      if (!files.length) continue;
+
+      const label = entity.labels?.[lang]?.value || entity.labels?.en?.value || query;
+      console.log(`[AutoIllust] Wikidata: "${query}" → ${id} ${label}，${files.length} 张条目图`);
+      return await fetchCommonsFiles(files.map(file => `File:${file}`), signal, {
+        title: label,
+        source: 'wikidata',
+        entity: id,
       });
+    }
+    return [];
   } catch (e) {
-    console.error('[AutoIllust] Commons 搜索失败:', e);
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] Wikidata 查询失败:', e);
     return [];
   }
 }
 
-// Wikimedia 综合搜索
-export async function searchWikimedia(query) {
+// Wikimedia 综合搜索；entity 为 true 时先查 Wikidata 条目图，排在最前
+async function searchWikimedia(query, limit, signal, { entity = false } = {}) {
   const settings = getSettings();
-  const limit = settings.candidates_per_source;
+  let results = entity ? await searchWikidataEntity(query, signal) : [];
+
+  // 先搜关键词所属语言的 Wikipedia，不够再依次搜备选语言
+  const primary = detectQueryLanguage(query);
+  const languages = [...new Set([primary, ...(settings.wiki_fallback_languages || [])])];
+
+  for (const lang of languages) {
+    if (results.length >= limit) break;
 
-  let results = [];
+    const { candidates, topTitle } = await searchWikipediaArticle(query, lang, signal);
+    results.push(...candidates);
 
-  // 搜英文 Wikipedia
-  results = await searchWikipediaArticle(query, 'en');
+    // 只从关键词所属语言的首篇文章跟随跨语言链接
+    const targets = settings.wiki_langlink_languages || [];
+    if (lang === primary && topTitle && targets.length) {
+      const seen = new Set(results.map(r => r.url));
+      results.push(...await followLanglinks(topTitle, lang, targets, seen, signal));
+    }
+  }
 
   // Wikipedia 不够就搜 Commons
   if (results.length < limit) {
-    const commonsResults = await searchWikimediaCommons(query);
+    const commonsResults = await searchWikimediaCommons(query, signal);
     results.push(...commonsResults);
   }
 
@@ -110,24 +333,32 @@ export async function searchWikimedia(query) {
   return results.slice(0, limit);
 }
 
-// ============ Google 搜索（通过 Serper.dev）============
+// ============ Wikipedia 语言 ============
 
-// 已知带水印的图库域名
-const WATERMARK_DOMAINS = [
-  'shutterstock.com', 'gettyimages.', 'istockphoto.com',
-  'alamy.com', 'depositphotos.com', '123rf.com',
-  'dreamstime.com', 'stock.adobe.com', 'bigstockphoto.com',
-  'thinkstockphotos.com', 'dissolve.com', 'pond5.com',
-  'vectorstock.com', 'canstockphoto.com',
+// 按文字判断关键词该搜哪个语言版本；拉丁字母只看几个有特征的字母，其余按英文
+const SCRIPT_LANGUAGES = [
+  [/[\u3040-\u30ff]/, 'ja'],    // 假名（须在汉字之前判断）
+  [/[\u3400-\u9fff]/, 'zh'],
+  [/[\uac00-\ud7af\u1100-\u11ff]/, 'ko'],
+  [/[\u0400-\u04ff]/, 'ru'],
+  [/[\u0370-\u03ff]/, 'el'],
+  [/[\u0590-\u05ff]/, 'he'],
+  [/[\u0600-\u06ff]/, 'ar'],
+  [/[\u0e00-\u0e7f]/, 'th'],
+  [/[\u0900-\u097f]/, 'hi'],
+  [/[ñ¿¡]/i, 'es'],
+  [/[ãõ]/i, 'pt'],
+  [/[äöüß]/i, 'de'],
+  [/[àâçéèêëîïôùûœ]/i, 'fr'],
 ];
 
-function isWatermarkDomain(domain) {
-  if (!domain) return false;
-  const d = domain.toLowerCase();
-  return WATERMARK_DOMAINS.some(wd => d.includes(wd));
+export function detectQueryLanguage(query) {
+  return SCRIPT_LANGUAGES.find(([re]) => re.test(query))?.[1] || 'en';
 }
 
-export async function searchGoogle(query) {
+// ============ Google 搜索（通过 Serper.dev）============
+
+async function searchGoogle(query, limit, signal) {
   const settings = getSettings();
 
   if (!settings.serper_api_key) {
@@ -137,9 +368,9 @@ export async function searchGoogle(query) {
 
   try {
     // 多请求一些，过滤后还能剩够
-    const requestNum = (settings.candidates_per_source || 4) + 6;
+    const requestNum = limit + 6;
 
-    const resp = await fetch('https://google.serper.dev/images', {
+    const resp = await fetchWithRetry('https://google.serper.dev/images', {
       method: 'POST',
       headers: {
         'X-API-KEY': settings.serper_api_key,
@@ -149,21 +380,13 @@ export async function searchGoogle(query) {
         q: query,
         num: requestNum,
       }),
-    });
+    }, { signal, label: 'Serper' });
 
     if (!resp.ok) throw new Error(`Serper API ${resp.status}`);
 
     const data = await resp.json();
 
     const results = (data.images || [])
-      .filter(item => {
-        const domain = (item.source || item.link || '').toLowerCase();
-        if (isWatermarkDomain(domain)) {
-          console.log(`[AutoIllust] 过滤水印图库: ${domain}`);
-          return false;
-        }
-        return true;
-      })
       .map(item => ({
         url: item.imageUrl,
         thumbnail: item.thumbnailUrl || item.imageUrl,
@@ -173,31 +396,516 @@ export async function searchGoogle(query) {
         height: item.imageHeight || 0,
         link: item.link || '',
         domain: item.source || '',
-      }));
+      }))
+      // 先按域名规则筛一遍，多要的几张用来补位；filterCandidates 之后还会再查一次
+      .filter(item => !checkDomains(item));
 
     console.log(`[AutoIllust] Google 搜索: ${data.images?.length || 0} 张, 过滤后 ${results.length} 张`);
-    return results.slice(0, settings.candidates_per_source);
+    return results.slice(0, limit);
   } catch (e) {
+    if (isAbortError(e)) throw e;
     console.error('[AutoIllust] Google 搜索失败:', e);
     return [];
   }
 }
 
-// ============ 两个都搜 ============
+// ============ Openverse（CC 授权图库，免 Key） ============
+
+// Openverse 给的是 by-sa / cc0 / pdm 这样的代码
+function formatOpenverseLicense(code, version) {
+  if (!code) return '';
+  if (code === 'pdm') return 'Public Domain Mark';
+  if (code === 'cc0') return 'CC0 1.0';
+  return `CC ${code.toUpperCase()}${version ? ` ${version}` : ''}`;
+}
+
+async function searchOpenverse(query, limit, signal) {
+  try {
+    const url = `https://api.openverse.org/v1/images/` +
+      `?q=${encodeURIComponent(query)}&page_size=${limit}&mature=false`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Openverse' });
+    if (!resp.ok) throw new Error(`Openverse API ${resp.status}`);
+    const data = await resp.json();
+
+    return (data.results || []).map(item => ({
+      url: item.url,
+      thumbnail: item.thumbnail || item.url,
+      title: item.title || '',
+      source: 'openverse',
+      width: item.width || 0,
+      height: item.height || 0,
+      link: item.foreign_landing_url || '',
+      domain: item.provider || '',
+      author: item.creator || '',
+      license: formatOpenverseLicense(item.license, item.license_version),
+      license_url: item.license_url || '',
+    }));
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] Openverse 搜索失败:', e);
+    return [];
+  }
+}
+
+// ============ Unsplash ============
+
+async function searchUnsplash(query, limit, signal) {
+  const settings = getSettings();
+
+  try {
+    const url = `https://api.unsplash.com/search/photos` +
+      `?query=${encodeURIComponent(query)}&per_page=${limit}&content_filter=high`;
 
-export async function searchBoth(query) {
-  const [wikiResults, googleResults] = await Promise.all([
-    searchWikimedia(query),
-    searchGoogle(query),
-  ]);
+    const resp = await fetchWithRetry(url, {
+      headers: { 'Authorization': `Client-ID ${settings.unsplash_access_key}` },
+    }, { signal, label: 'Unsplash' });
+    if (!resp.ok) throw new Error(`Unsplash API ${resp.status}`);
+    const data = await resp.json();
+
+    return (data.results || []).map(item => ({
+      url: item.urls?.regular || item.urls?.full,
+      thumbnail: item.urls?.small || item.urls?.regular,
+      title: item.description || item.alt_description || '',
+      source: 'unsplash',
+      width: item.width || 0,
+      height: item.height || 0,
+      link: item.links?.html || '',
+      domain: 'unsplash.com',
+      author: item.user?.name || '',
+      license: 'Unsplash License',
+      license_url: 'https://unsplash.com/license',
+    })).filter(r => r.url);
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] Unsplash 搜索失败:', e);
+    return [];
+  }
+}
+
+// ============ Pixabay ============
+
+async function searchPixabay(query, limit, signal) {
+  const settings = getSettings();
+
+  try {
+    // Pixabay 要求 per_page 在 3-200 之间
+    const url = `https://pixabay.com/api/` +
+      `?key=${encodeURIComponent(settings.pixabay_api_key)}` +
+      `&q=${encodeURIComponent(query)}&image_type=photo&safesearch=true` +
+      `&per_page=${Math.max(3, limit)}`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Pixabay' });
+    if (!resp.ok) throw new Error(`Pixabay API ${resp.status}`);
+    const data = await resp.json();
+
+    return (data.hits || []).slice(0, limit).map(item => ({
+      url: item.largeImageURL || item.webformatURL,
+      thumbnail: item.webformatURL || item.previewURL,
+      title: item.tags || '',
+      source: 'pixabay',
+      width: item.imageWidth || 0,
+      height: item.imageHeight || 0,
+      link: item.pageURL || '',
+      domain: 'pixabay.com',
+      author: item.user || '',
+      license: 'Pixabay Content License',
+      license_url: 'https://pixabay.com/service/license-summary/',
+    }));
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] Pixabay 搜索失败:', e);
+    return [];
+  }
+}
+
+// ============ Flickr（只搜 CC 授权的图） ============
+
+// Flickr license id: 1-6 CC 系列, 7 无已知版权限制, 9 CC0, 10 公有领域
+const FLICKR_OPEN_LICENSES = '1,2,3,4,5,6,7,9,10';
+
+const FLICKR_LICENSES = {
+  1: ['CC BY-NC-SA 2.0', 'https://creativecommons.org/licenses/by-nc-sa/2.0/'],
+  2: ['CC BY-NC 2.0', 'https://creativecommons.org/licenses/by-nc/2.0/'],
+  3: ['CC BY-NC-ND 2.0', 'https://creativecommons.org/licenses/by-nc-nd/2.0/'],
+  4: ['CC BY 2.0', 'https://creativecommons.org/licenses/by/2.0/'],
+  5: ['CC BY-SA 2.0', 'https://creativecommons.org/licenses/by-sa/2.0/'],
+  6: ['CC BY-ND 2.0', 'https://creativecommons.org/licenses/by-nd/2.0/'],
+  7: ['No known copyright restrictions', 'https://www.flickr.com/commons/usage/'],
+  9: ['CC0 1.0', 'https://creativecommons.org/publicdomain/zero/1.0/'],
+  10: ['Public Domain Mark', 'https://creativecommons.org/publicdomain/mark/1.0/'],
+};
+
+async function searchFlickr(query, limit, signal) {
+  const settings = getSettings();
+
+  try {
+    const url = `https://www.flickr.com/services/rest/` +
+      `?method=flickr.photos.search&api_key=${encodeURIComponent(settings.flickr_api_key)}` +
+      `&text=${encodeURIComponent(query)}&per_page=${limit}` +
+      `&license=${FLICKR_OPEN_LICENSES}&sort=relevance&content_type=1&media=photos&safe_search=1` +
+      `&extras=url_l,url_m,owner_name,license&format=json&nojsoncallback=1`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'Flickr' });
+    if (!resp.ok) throw new Error(`Flickr API ${resp.status}`);
+    const data = await resp.json();
+    if (data.stat !== 'ok') throw new Error(`Flickr API: ${data.message}`);
+
+    return (data.photos?.photo || [])
+      .filter(p => p.url_l || p.url_m)
+      .map(p => ({
+        url: p.url_l || p.url_m,
+        thumbnail: p.url_m || p.url_l,
+        title: p.title || '',
+        source: 'flickr',
+        width: Number(p.width_l || p.width_m) || 0,
+        height: Number(p.height_l || p.height_m) || 0,
+        link: `https://www.flickr.com/photos/${p.owner}/${p.id}`,
+        domain: 'flickr.com',
+        author: p.ownername || '',
+        license: FLICKR_LICENSES[p.license]?.[0] || '',
+        license_url: FLICKR_LICENSES[p.license]?.[1] || '',
+      }));
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] Flickr 搜索失败:', e);
+    return [];
+  }
+}
+
+// ============ SearXNG（自建实例，需开启 JSON 输出） ============
+
+async function searchSearxng(query, limit, signal) {
+  const settings = getSettings();
+
+  try {
+    const baseUrl = settings.searxng_url.replace(/\/+$/, '');
+    const url = `${baseUrl}/search?q=${encodeURIComponent(query)}&categories=images&format=json&safesearch=1`;
+
+    const resp = await fetchWithRetry(url, {}, { signal, label: 'SearXNG' });
+    if (!resp.ok) throw new Error(`SearXNG ${resp.status}`);
+    const data = await resp.json();
+
+    const results = (data.results || [])
+      .filter(item => item.img_src && !checkDomains({ url: item.img_src, link: item.url }))
+      .map(item => {
+        const [width, height] = (item.resolution || '').split(/\s*[x×]\s*/).map(Number);
+        let domain = '';
+        try {
+          domain = new URL(item.url).hostname;
+        } catch {
+          // 没有来源页
+        }
+        return {
+          url: item.img_src,
+          thumbnail: item.thumbnail_src || item.img_src,
+          title: item.title || '',
+          source: 'searxng',
+          width: width || 0,
+          height: height || 0,
+          link: item.url || '',
+          domain,
+        };
+      });
+
+    return results.slice(0, limit);
+  } catch (e) {
+    if (isAbortError(e)) throw e;
+    console.error('[AutoIllust] SearXNG 搜索失败:', e);
+    return [];
+  }
+}
+
+// ============ 搜索源注册表 ============
+//
+// 每个搜索源声明：
+//   id          存到设置和消息元数据里的标识（wiki / google 沿用旧值）
+//   name, icon  界面显示
+//   settings    需要的设置项 [{ key, label, type, placeholder, help }]，全部填了才可用
+//   license     授权情况: 'open'（CC/公有领域）| 'free'（图库自有免费协议）| 'mixed'（来源不一，需自行核实）
+//   promptHint  给关键词提取 AI 的"适合搜什么"说明
+//   search(query, limit, signal, { entity }) → 候选图数组，signal 取消时应抛出 AbortError
+//               entity 为 true 表示关键词是专有名词，不支持的来源忽略即可
+//   cacheKey()  可选，影响搜索结果的设置，拼进结果缓存的键，改了设置旧缓存就不再命中
+
+const providers = [];
+
+export function registerProvider(provider) {
+  const index = providers.findIndex(p => p.id === provider.id);
+  if (index !== -1) providers.splice(index, 1);
+  providers.push(provider);
+}
+
+export function getProviders() {
+  return [...providers];
+}
+
+export function getProvider(id) {
+  return providers.find(p => p.id === id) || null;
+}
+
+// 必填设置都有、且没被用户关掉的搜索源
+export function isProviderAvailable(provider) {
+  const settings = getSettings();
+  if ((settings.disabled_sources || []).includes(provider.id)) return false;
+  return (provider.settings || []).every(field => String(settings[field.key] || '').trim());
+}
+
+export function getAvailableProviders() {
+  return providers.filter(isProviderAvailable);
+}
+
+// 搜索时已按域名规则过滤掉的来源，规则变了要重新搜
+function domainRulesKey() {
+  const settings = getSettings();
+  return [
+    (settings.domain_blocklist || []).join(','),
+    (settings.domain_allowlist || []).join(','),
+    settings.domain_allowlist_only ? 'only' : '',
+  ].join(';');
+}
+
+export const LICENSE_LABELS = {
+  open: 'CC / 公有领域',
+  free: '图库免费协议',
+  mixed: '来源不一，需自行核实',
+};
+
+registerProvider({
+  id: 'wiki',
+  name: 'Wikimedia',
+  icon: '📖',
+  settings: [],
+  license: 'open',
+  promptHint: [
+    '世界名画、雕塑、艺术品（如 Mona Lisa, Starry Night）',
+    '历史人物肖像（如 Napoleon Bonaparte）',
+    '动植物百科图（如 Bengal tiger, Cherry blossom）',
+    '科学概念图表（如 DNA structure）',
+  ],
+  search: searchWikimedia,
+  cacheKey: () => {
+    const settings = getSettings();
+    return `${(settings.wiki_fallback_languages || []).join(',')};${(settings.wiki_langlink_languages || []).join(',')}`;
+  },
+});
+
+registerProvider({
+  id: 'google',
+  name: 'Google',
+  icon: '🔍',
+  settings: [{
+    key: 'serper_api_key',
+    label: 'Serper.dev API Key',
+    type: 'password',
+    placeholder: 'Serper API Key',
+    help: '<a href="https://serper.dev/" target="_blank">免费注册 ↗</a> · 注册送 2500 次',
+  }],
+  license: 'mixed',
+  promptHint: [
+    '地标建筑实景（如 Sanlitun Beijing, Times Square）',
+    '城市风景（如 Tokyo skyline night）',
+    '日常物品（如 vintage typewriter, whisky glass）',
+    '现代场景（如 neon bar interior）',
+  ],
+  search: searchGoogle,
+  cacheKey: domainRulesKey,
+});
+
+registerProvider({
+  id: 'openverse',
+  name: 'Openverse',
+  icon: '🌐',
+  settings: [],
+  license: 'open',
+  promptHint: [
+    'CC 授权的摄影作品和插画（如 old library interior, mountain lake）',
+  ],
+  search: searchOpenverse,
+});
+
+registerProvider({
+  id: 'unsplash',
+  name: 'Unsplash',
+  icon: '📷',
+  settings: [{
+    key: 'unsplash_access_key',
+    label: 'Unsplash Access Key',
+    type: 'password',
+    placeholder: 'Access Key',
+    help: '<a href="https://unsplash.com/developers" target="_blank">申请 ↗</a>',
+  }],
+  license: 'free',
+  promptHint: [
+    '高质量氛围摄影（如 foggy forest morning, cozy cafe interior）',
+  ],
+  search: searchUnsplash,
+});
+
+registerProvider({
+  id: 'pixabay',
+  name: 'Pixabay',
+  icon: '🖼️',
+  settings: [{
+    key: 'pixabay_api_key',
+    label: 'Pixabay API Key',
+    type: 'password',
+    placeholder: 'API Key',
+    help: '<a href="https://pixabay.com/api/docs/" target="_blank">申请 ↗</a>',
+  }],
+  license: 'free',
+  promptHint: [
+    '通用摄影和物品图（如 red rose bouquet, rainy street）',
+  ],
+  search: searchPixabay,
+});
+
+registerProvider({
+  id: 'flickr',
+  name: 'Flickr',
+  icon: '🌸',
+  settings: [{
+    key: 'flickr_api_key',
+    label: 'Flickr API Key',
+    type: 'password',
+    placeholder: 'API Key',
+    help: '<a href="https://www.flickr.com/services/apps/create/" target="_blank">申请 ↗</a> · 只搜 CC 授权的图',
+  }],
+  license: 'open',
+  promptHint: [
+    '真实旅行摄影、具体地点实拍（如 Kyoto alley, Scottish highlands）',
+  ],
+  search: searchFlickr,
+});
+
+registerProvider({
+  id: 'searxng',
+  name: 'SearXNG',
+  icon: '🔎',
+  settings: [{
+    key: 'searxng_url',
+    label: 'SearXNG 实例地址',
+    type: 'text',
+    placeholder: 'https://searx.example.com',
+    help: '实例需在 settings.yml 中开启 json 格式并允许跨域',
+  }],
+  license: 'mixed',
+  promptHint: [
+    '和 google 类似的全网图片搜索',
+  ],
+  search: searchSearxng,
+  cacheKey: () => `${getSettings().searxng_url};${domainRulesKey()}`,
+});
+
+// 标注用的图标（Wikimedia 细分 Wikipedia / Commons）
+export function getSourceIcon(source) {
+  if (source === 'generated') return '🎨';
+  if (source === 'commons') return '🏛️';
+  if (source === 'wikidata') return '🏷️';
+  if (source?.endsWith('.wikipedia')) return '📖';
+  return getProvider(source)?.icon || '🖼️';
+}
+
+// 标注用的来源名
+export function getSourceLabel(source) {
+  if (source === 'generated') return 'AI 生成';
+  return source || '';
+}
+
+// CC0、公有领域和 CC BY（不含 SA / NC / ND）
+const OPEN_LICENSE_PATTERNS = [
+  /^cc[\s-]?0\b/i,
+  /^cc[\s-]zero\b/i,
+  /public domain/i,
+  /^pd\b/i,
+  /no known copyright/i,
+  /^cc[\s-]by(?:[\s-]+\d(?:\.\d)?)?$/i,
+];
+
+export function isOpenLicense(license) {
+  const name = String(license || '').trim();
+  return !!name && OPEN_LICENSE_PATTERNS.some(re => re.test(name));
+}
+
+// 署名文字，一项一行；用于标注的悬停提示和署名报告
+export function formatCredit(image) {
+  if (image.source === 'generated') return `AI 生成${image.query ? `: ${image.query}` : ''}`;
+
+  return [
+    image.title && `「${image.title}」`,
+    `作者: ${image.author || '未知'}`,
+    `授权: ${image.license || '未知，需自行核实'}${image.license_url ? ` (${image.license_url})` : ''}`,
+    `来源: ${image.link || image.url}（via ${getSourceLabel(image.source)}）`,
+  ].filter(Boolean).join('\n');
+}
+
+// ============ 统一搜索入口 ============
+
+// 单个搜索源，结果按 来源 + 相关设置 + 候选数 + 关键词 缓存；空结果可能是出错了，不缓存
+async function runProvider(provider, query, signal, { refresh = false, entity = false } = {}) {
+  const limit = getSettings().candidates_per_source;
+  const settingsKey = provider.cacheKey ? `${getStringHash(provider.cacheKey())}|` : '';
+  return await memoize('search', `${provider.id}|${settingsKey}${limit}|${entity ? 'entity|' : ''}${query.trim().toLowerCase()}`,
+    () => {
+      // 按搜索次数计，不是 HTTP 请求数
+      recordSearch(provider.id);
+      return provider.search(query, limit, signal, { entity });
+    },
+    { shouldStore: results => results.length > 0, refresh });
+}
+
+/**
+ * 所有可用来源一起搜，结果交错合并
+ * @param {object} [options]
+ * @param {boolean} [options.refresh] 不读缓存
+ * @param {boolean} [options.entity] 关键词是专有名词，支持的来源会先查条目图
+ */
+export async function searchAll(query, signal, options = {}) {
+  const lists = await Promise.all(
+    getAvailableProviders().map(p => runProvider(p, query, signal, options))
+  );
 
-  // 交替排列，让两个来源的图片混合
   const merged = [];
-  const maxLen = Math.max(wikiResults.length, googleResults.length);
+  const maxLen = Math.max(0, ...lists.map(l => l.length));
   for (let i = 0; i < maxLen; i++) {
-    if (i < wikiResults.length) merged.push(wikiResults[i]);
-    if (i < googleResults.length) merged.push(googleResults[i]);
+    for (const list of lists) {
+      if (i < list.length) merged.push(list[i]);
+    }
   }
 
   return merged;
+}
+
+/**
+ * 按来源搜索，不降级
+ * @param {string} source 搜索源 id，'both' 或未知值表示全部可用来源
+ * @param {string} query
+ * @param {AbortSignal} [signal]
+ * @param {{refresh?: boolean, entity?: boolean}} [options] refresh 为 true 时不读缓存；entity 见 searchAll
+ */
+export async function searchSource(source, query, signal, options = {}) {
+  const provider = getProvider(source);
+  if (!provider) return await searchAll(query, signal, options);
+
+  if (!isProviderAvailable(provider)) {
+    console.warn(`[AutoIllust] 搜索源 ${provider.name} 未配置或已关闭，跳过`);
+    return [];
+  }
+
+  return await runProvider(provider, query, signal, options);
+}
+
+// 指定来源没结果时，依次降级到其他可用来源
+export async function searchImages(source, query, signal, options = {}) {
+  let results = await searchSource(source, query, signal, options);
+  if (results.length || !getProvider(source)) return results;
+
+  for (const provider of getAvailableProviders()) {
+    if (provider.id === source) continue;
+    console.log(`[AutoIllust] ${source} 无结果，降级到 ${provider.name}`);
+    results = await searchSource(provider.id, query, signal, options);
+    if (results.length) break;
+  }
+
+  return results;
 }
\ No newline at end of file
@@ -0,0 +1,104 @@
+// ============ 配图元数据读写 ============
+//
+// message.extra.auto_illust 结构：
+//   {
+//     images: [{ url, thumbnail, query, source, title, anchor,          // anchor: 对应段落的原文摘抄或序号
+//                link, author, license, license_url,                  // 署名信息，见 search.js
+//                entity }, ...],                                      // 来自 Wikidata 条目图时为条目 id
+//     queries: [{ query, source, entity, anchor }, ...], // 本次使用的关键词，entity: 是否专有名词
+//     candidates: { [query]: [候选图, ...] },    // 每个关键词的搜索结果，重新配图时复用
+//     shown: [url, ...],                         // 展示过的图，重新配图时排除
+//     swipe_id: 0,                               // 属于哪个 swipe
+//     mes_hash: 123,                             // 配图时正文的 hash，用来判断编辑后是否需要重配
+//   }
+// 旧版（v2.0）是单个对象 { url, thumbnail, query, source, title }，读取时自动转换
+//
+// 每个 swipe 各自保存一份：swipe_info[swipe_id].extra.auto_illust 为准，
+// message.extra.auto_illust 只是当前 swipe 的镜像（兼容没有 swipe_info 的消息）
+
+const IMAGE_FIELDS = ['url', 'thumbnail', 'query', 'source', 'title', 'anchor', 'link', 'author', 'license', 'license_url', 'entity'];
+const CANDIDATE_FIELDS = [...IMAGE_FIELDS, 'width', 'height', 'domain', 'description'];
+
+function pickFields(data, fields) {
+  const stored = {};
+  for (const key of fields) {
+    if (data[key] !== undefined) stored[key] = data[key];
+  }
+  return stored;
+}
+
+export function toStoredImage(imageData) {
+  return pickFields(imageData, IMAGE_FIELDS);
+}
+
+function toStoredCandidates(candidates) {
+  const stored = {};
+  for (const [query, list] of Object.entries(candidates || {})) {
+    stored[query] = list.map(c => pickFields(c, CANDIDATE_FIELDS));
+  }
+  return stored;
+}
+
+export function normalizeIllust(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+
+  // 新格式
+  if (Array.isArray(raw.images)) {
+    const images = raw.images.filter(img => img?.url);
+    return images.length ? { ...raw, images } : null;
+  }
+
+  // 旧格式：单张图
+  if (raw.url) {
+    return { images: [toStoredImage(raw)] };
+  }
+
+  return null;
+}
+
+function getSwipeId(message) {
+  return message?.swipe_id ?? 0;
+}
+
+function getSwipeInfo(message) {
+  const info = message?.swipe_info?.[getSwipeId(message)];
+  return info && typeof info === 'object' ? info : null;
+}
+
+export function getIllust(message) {
+  const fromSwipe = normalizeIllust(getSwipeInfo(message)?.extra?.auto_illust);
+  if (fromSwipe) return fromSwipe;
+
+  // 镜像可能是别的 swipe 留下的（旧版 SillyTavern 切换 swipe 时不会替换 extra）
+  const mirror = message?.extra?.auto_illust;
+  if (mirror?.swipe_id !== undefined && mirror.swipe_id !== getSwipeId(message)) return null;
+
+  return normalizeIllust(mirror);
+}
+
+export function setIllust(message, data) {
+  if (!message) return;
+
+  const stored = {
+    ...data,
+    images: data.images.map(toStoredImage),
+    ...(data.candidates ? { candidates: toStoredCandidates(data.candidates) } : {}),
+    swipe_id: getSwipeId(message),
+  };
+
+  if (!message.extra) message.extra = {};
+  message.extra.auto_illust = stored;
+
+  const info = getSwipeInfo(message);
+  if (info) {
+    if (!info.extra) info.extra = {};
+    info.extra.auto_illust = structuredClone(stored);
+  }
+}
+
+export function clearIllust(message) {
+  if (message?.extra) delete message.extra.auto_illust;
+
+  const info = getSwipeInfo(message);
+  if (info?.extra) delete info.extra.auto_illust;
+}
@@ -0,0 +1,158 @@
+import { eventSource, event_types } from '../../../../script.js';
+import { getContext, saveMetadataDebounced } from '../../../extensions.js';
+import { getSettings } from './index.js';
+
+// ============ 故事上下文 ============
+//
+// 给关键词提取补充单条消息里没有的信息：
+//   角色卡的设定和场景、本轮激活的世界书条目、前几条消息、
+//   以及保存在聊天元数据里的「当前场景」（地点 / 时代 / 时间），每次提取后更新。
+
+const SCENE_KEY = 'auto_illust_scene';
+
+const MAX_CARD_CHARS = 1000;
+const MAX_WORLD_INFO_CHARS = 1500;
+const MAX_HISTORY_MESSAGE_CHARS = 500;
+
+// 最近一次生成时激活的世界书条目
+let activatedWorldInfo = [];
+
+export function initStoryTracking() {
+  // 旧版 SillyTavern 没有这个事件，此时不带世界书
+  if (event_types.WORLD_INFO_ACTIVATED) {
+    eventSource.on(event_types.WORLD_INFO_ACTIVATED, (entries) => {
+      activatedWorldInfo = Array.isArray(entries) ? entries : [];
+    });
+  }
+  eventSource.on(event_types.CHAT_CHANGED, () => {
+    activatedWorldInfo = [];
+  });
+}
+
+function clip(text, max) {
+  const clean = String(text || '').replace(/<[^>]+>/g, '').trim();
+  return clean.length > max ? `${clean.substring(0, max)}…` : clean;
+}
+
+// 群聊里按消息的头像找发言角色，单聊直接用当前角色
+function findCharacter(message) {
+  const context = getContext();
+  const characters = context.characters || [];
+  return characters.find(c => message?.original_avatar && c.avatar === message.original_avatar)
+    || characters[context.characterId]
+    || null;
+}
+
+function describeCharacter(message) {
+  const character = findCharacter(message);
+  if (!character) return '';
+
+  const substitute = getContext().substituteParams || (text => text);
+  const parts = [
+    character.scenario && `场景: ${clip(substitute(character.scenario), MAX_CARD_CHARS)}`,
+    character.description && `设定: ${clip(substitute(character.description), MAX_CARD_CHARS)}`,
+  ].filter(Boolean);
+
+  return parts.length ? `### 角色: ${character.name}\n${parts.join('\n')}` : '';
+}
+
+function describeWorldInfo() {
+  const entries = activatedWorldInfo.filter(e => e?.content && !e.disable);
+  if (!entries.length) return '';
+
+  let budget = MAX_WORLD_INFO_CHARS;
+  const lines = [];
+  for (const entry of entries) {
+    if (budget <= 0) break;
+    const line = `- ${entry.comment ? `${entry.comment}: ` : ''}${clip(entry.content, budget)}`;
+    budget -= line.length;
+    lines.push(line);
+  }
+  return `### 世界书\n${lines.join('\n')}`;
+}
+
+function describeHistory(message, count) {
+  const chat = getContext().chat || [];
+  const index = chat.indexOf(message);
+  if (index <= 0 || count <= 0) return '';
+
+  const previous = chat
+    .slice(0, index)
+    .filter(m => !m.is_system && m.mes)
+    .slice(-count)
+    .map(m => `[${m.name}]: ${clip(m.mes, MAX_HISTORY_MESSAGE_CHARS)}`);
+
+  return previous.length ? `### 前文（最近 ${previous.length} 条）\n${previous.join('\n')}` : '';
+}
+
+function describeScene() {
+  const scene = getSceneState();
+  if (!scene) return '';
+
+  const parts = [
+    scene.location && `地点: ${scene.location}`,
+    scene.era && `时代: ${scene.era}`,
+    scene.time_of_day && `时间: ${scene.time_of_day}`,
+  ].filter(Boolean);
+
+  return parts.length ? `### 当前场景（上一次记录）\n${parts.join('\n')}` : '';
+}
+
+/**
+ * 拼出关键词提取用的故事背景，按设置取舍
+ * @param {object} message 要配图的消息对象
+ * @returns {string} 没有任何背景时为空字符串
+ */
+export function buildStoryContext(message) {
+  const settings = getSettings();
+
+  return [
+    settings.context_character ? describeCharacter(message) : '',
+    settings.context_world_info ? describeWorldInfo() : '',
+    describeScene(),
+    describeHistory(message, settings.context_messages),
+  ].filter(Boolean).join('\n\n');
+}
+
+// ============ 当前场景 ============
+
+/**
+ * @returns {{location: string, era: string, time_of_day: string}|null}
+ */
+export function getSceneState() {
+  return getContext().chatMetadata?.[SCENE_KEY] || null;
+}
+
+// 用本次提取结果更新场景，空字段保留旧值（这一轮没提到不代表换了地方）
+export function updateSceneState(setting) {
+  const metadata = getContext().chatMetadata;
+  if (!metadata || !setting) return;
+
+  const previous = metadata[SCENE_KEY] || {};
+  const next = { ...previous };
+  for (const key of ['location', 'era', 'time_of_day']) {
+    const value = String(setting[key] || '').trim();
+    if (value) next[key] = value;
+  }
+
+  if (JSON.stringify(next) === JSON.stringify(previous)) return;
+
+  metadata[SCENE_KEY] = next;
+  saveMetadataDebounced();
+  console.log('[AutoIllust] 当前场景:', next);
+}
+
+// 一行文字版，给提示词模板的 {{scene}} 用
+export function describeSceneState() {
+  const scene = getSceneState();
+  const parts = scene ? [scene.location, scene.era, scene.time_of_day].filter(Boolean) : [];
+  return parts.join(' · ') || '未知';
+}
+
+export function clearSceneState() {
+  const metadata = getContext().chatMetadata;
+  if (!metadata?.[SCENE_KEY]) return;
+
+  delete metadata[SCENE_KEY];
+  saveMetadataDebounced();
+}
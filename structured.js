@@ -0,0 +1,202 @@
+import { callBackend } from './backends.js';
+
+// ============ 结构化输出 ============
+//
+// 1. 把 JSON Schema 交给后端（支持的后端会用 response_format / 原生 JSON 模式）
+// 2. 修复常见的坏 JSON：代码块、尾逗号、中文引号、被截断
+// 3. 按 schema 校验，再跑调用方的额外校验
+// 4. 失败时带着错误原因重问一次，仍失败则抛 StructuredOutputError
+
+export class StructuredOutputError extends Error {
+  constructor(message, raw) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.raw = raw;
+  }
+}
+
+// ============ 修复 ============
+
+function stripCodeFence(text) {
+  return text.replace(/```(?:json)?\s*([\s\S]*?)(?:```|$)/i, '$1');
+}
+
+// 从第一个 { 或 [ 开始截取
+function sliceFromJsonStart(text) {
+  const start = text.search(/[{[]/);
+  return start === -1 ? text : text.slice(start);
+}
+
+// 只替换处在 JSON 语法位置上的中文引号，字符串内容里的不动
+function fixChineseQuotes(text) {
+  return text
+    .replace(/([{[,:]\s*)[“”]/g, '$1"')
+    .replace(/[“”](\s*[:,}\]])/g, '"$1');
+}
+
+function removeTrailingCommas(text) {
+  return text.replace(/,\s*([}\]])/g, '$1');
+}
+
+// 补全被截断的字符串和括号，丢掉末尾没写完的键
+function closeTruncated(text) {
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const ch of text) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === '{') closers.push('}');
+    else if (ch === '[') closers.push(']');
+    else if (ch === '}' || ch === ']') closers.pop();
+  }
+
+  if (!inString && !closers.length) return text;
+
+  let out = inString ? `${text}"` : text.trimEnd();
+  out = out
+    .replace(/:\s*$/, '')
+    .replace(/([{,])\s*"[^"]*"$/, '$1')
+    .replace(/,\s*$/, '');
+  return out + closers.reverse().join('');
+}
+
+const REPAIRS = [stripCodeFence, sliceFromJsonStart, fixChineseQuotes, removeTrailingCommas, closeTruncated];
+
+/**
+ * 尽量把模型回复解析成 JSON，修复逐步叠加，哪一步能解析就停
+ * @param {string} text
+ * @returns {any}
+ * @throws {SyntaxError} 全部修复后仍无法解析
+ */
+export function parseJsonLoose(text) {
+  let current = String(text ?? '').trim();
+  let lastError;
+
+  for (const repair of [s => s, ...REPAIRS]) {
+    current = repair(current);
+    try {
+      return JSON.parse(current);
+    } catch (e) {
+      lastError = e;
+    }
+  }
+  throw lastError;
+}
+
+// ============ 校验（JSON Schema 的常用子集） ============
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * @param {any} value
+ * @param {object} schema 支持 type / properties / required / items / enum / minItems / maxItems / minimum / maximum / minLength
+ * @param {string} path 错误信息里的字段路径
+ * @returns {string[]} 错误列表，空表示通过
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const ok = schema.type === 'number' ? ['number', 'integer'].includes(actual) : actual === schema.type;
+    if (!ok) return [`${path} 应为 ${schema.type}，实际是 ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} 必须是 ${schema.enum.map(v => JSON.stringify(v)).join(' / ')} 之一`);
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} 缺失`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], sub, `${path}.${key}`));
+    }
+  }
+
+  if (actual === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} 至少 ${schema.minItems} 项`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} 最多 ${schema.maxItems} 项`);
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+
+  if (actual === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} 不能为空`);
+  }
+
+  if (actual === 'number' || actual === 'integer') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} 不能小于 ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} 不能大于 ${schema.maximum}`);
+  }
+
+  return errors;
+}
+
+// ============ 调用 ============
+
+function parseAndValidate(raw, spec) {
+  let data;
+  try {
+    data = parseJsonLoose(raw);
+  } catch (e) {
+    return { errors: [`不是合法 JSON（${e.message}）`] };
+  }
+
+  const errors = validateSchema(data, spec.schema);
+  if (!errors.length && spec.validate) errors.push(...spec.validate(data));
+  return { data, errors };
+}
+
+/**
+ * 调用后端并拿到通过校验的 JSON
+ * @param {string} step backends.js 里的步骤 id
+ * @param {object} request 同 callBackend
+ * @param {object} spec
+ * @param {string} spec.name schema 名称（OpenAI json_schema 需要）
+ * @param {object} spec.schema JSON Schema
+ * @param {(data: any) => string[]} [spec.validate] 额外校验，返回错误列表；可以就地修正 data（如丢掉个别不合格的项）
+ * @returns {Promise<any>}
+ * @throws {StructuredOutputError} 重问一次后仍不合格
+ */
+export async function callStructured(step, request, spec) {
+  const schema = { name: spec.name, schema: spec.schema };
+
+  const raw = await callBackend(step, { ...request, schema });
+  const first = parseAndValidate(raw, spec);
+  if (!first.errors.length) return first.data;
+
+  console.warn(`[AutoIllust] ${spec.name} 回复不合格，重问一次:`, first.errors, raw);
+
+  const retryRaw = await callBackend(step, {
+    ...request,
+    schema,
+    user: `${request.user}
+
+---
+你上一次的回复不符合要求：
+${first.errors.map(e => `- ${e}`).join('\n')}
+
+上一次的回复：
+${raw.substring(0, 1000)}
+
+请修正后重新输出，只输出 JSON。`,
+  });
+
+  const second = parseAndValidate(retryRaw, spec);
+  if (!second.errors.length) return second.data;
+
+  throw new StructuredOutputError(`${spec.name} 回复格式错误: ${second.errors.slice(0, 3).join('；')}`, retryRaw);
+}
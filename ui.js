@@ -1,5 +1,10 @@
 import { getContext } from '../../../extensions.js';
+import { callGenericPopup, POPUP_TYPE } from '../../../popup.js';
 import { getSettings } from './index.js';
+import { getIllust, setIllust } from './store.js';
+import { cacheImages, getCachedImageUrl } from './cache.js';
+import { getSourceIcon, getSourceLabel, formatCredit } from './search.js';
+import { cancelAllJobs } from './queue.js';
 
 // ============ 在 innerHTML 中找元数据起始位置（纯字符串，不受 <content> 影响） ============
 
@@ -26,122 +31,383 @@ function spliceHtml(textElement, htmlStr) {
   }
 }
 
+// 删除消息后 SillyTavern 会重排 mesid，所以配图元素一律在消息元素内部查找，不自带编号
+function getMessageElement(messageId) {
+  return document.querySelector(`#chat .mes[mesid="${messageId}"]`);
+}
+
 // ============ 插入加载占位符 ============
 
 export function insertLoadingPlaceholder(messageId) {
-  const messageElement = document.querySelector(`[mesid="${messageId}"]`);
+  const messageElement = getMessageElement(messageId);
   if (!messageElement) return false;
 
   const textElement = messageElement.querySelector('.mes_text');
   if (!textElement) return false;
 
-  const loadingHtml = `<div class="auto-illust-wrapper auto-illust-loading" data-mesid="${messageId}">
+  if (messageElement.querySelector('.auto-illust-loading')) return true;
+
+  const loadingHtml = `<div class="auto-illust-wrapper auto-illust-loading">
     <div class="auto-illust-spinner">
       <span class="auto-illust-spinner-text">🔍 搜索配图中...</span>
     </div>
   </div>`;
 
-  spliceHtml(textElement, loadingHtml);
+  // 锚定模式要等选出图才知道段落，先放在默认位置
+  const placement = getSettings().placement;
+  if (placement === 'top') {
+    textElement.insertAdjacentHTML('afterbegin', loadingHtml);
+  } else if (placement === 'bottom') {
+    textElement.insertAdjacentHTML('beforeend', loadingHtml);
+  } else {
+    spliceHtml(textElement, loadingHtml);
+  }
   return true;
 }
 
 // ============ 移除加载占位符 ============
 
 export function removeLoadingPlaceholder(messageId) {
-  const placeholder = document.querySelector(
-    `.auto-illust-loading[data-mesid="${messageId}"]`
-  );
+  const placeholder = getMessageElement(messageId)?.querySelector('.auto-illust-loading');
   if (placeholder) placeholder.remove();
 }
 
-// ============ 插入图片到消息 ============
+// ============ 轮播 ============
 
-export async function insertImageToMessage(messageId, imageData) {
-  const messageElement = document.querySelector(`[mesid="${messageId}"]`);
-  if (!messageElement) return;
+function goToSlide(wrapper, index) {
+  const slides = wrapper.querySelectorAll('.auto-illust-slide');
+  if (!slides.length) return;
 
-  const textElement = messageElement.querySelector('.mes_text');
-  if (!textElement) return;
+  const active = (index + slides.length) % slides.length;
+  wrapper.dataset.active = active;
+  slides.forEach((slide, i) => slide.classList.toggle('active', i === active));
 
-  const settings = getSettings();
+  const isMulti = slides.length > 1;
+  wrapper.classList.toggle('auto-illust-multi', isMulti);
 
-  // 创建图片容器
-  const wrapper = document.createElement('div');
-  wrapper.className = 'auto-illust-wrapper';
-  wrapper.dataset.imageUrl = imageData.url;
-  wrapper.dataset.query = imageData.query || '';
-  wrapper.dataset.source = imageData.source || '';
+  const dots = wrapper.querySelector('.auto-illust-dots');
+  if (dots) {
+    dots.innerHTML = isMulti
+      ? Array.from(slides, (_, i) =>
+        `<span class="auto-illust-dot${i === active ? ' active' : ''}" data-index="${i}"></span>`).join('')
+      : '';
+  }
+}
+
+function setupCarousel(wrapper) {
+  const step = (delta) => goToSlide(wrapper, Number(wrapper.dataset.active || 0) + delta);
+
+  wrapper.querySelector('.auto-illust-prev').onclick = (e) => {
+    e.stopPropagation();
+    step(-1);
+  };
+  wrapper.querySelector('.auto-illust-next').onclick = (e) => {
+    e.stopPropagation();
+    step(1);
+  };
+  wrapper.querySelector('.auto-illust-dots').onclick = (e) => {
+    const index = e.target.dataset?.index;
+    if (index !== undefined) goToSlide(wrapper, Number(index));
+  };
+
+  // 触摸滑动（阻止冒泡，避免触发 SillyTavern 的消息 swipe）
+  const track = wrapper.querySelector('.auto-illust-track');
+  let startX = null;
+  track.addEventListener('touchstart', (e) => {
+    startX = e.touches[0].clientX;
+    e.stopPropagation();
+  }, { passive: true });
+  track.addEventListener('touchend', (e) => {
+    if (startX === null) return;
+    const dx = e.changedTouches[0].clientX - startX;
+    startX = null;
+    e.stopPropagation();
+    if (Math.abs(dx) > 40) step(dx < 0 ? 1 : -1);
+  });
+}
+
+function buildSlide(imageData, settings, wrapper) {
+  const slide = document.createElement('div');
+  slide.className = 'auto-illust-slide';
+  slide.dataset.imageUrl = imageData.url;
+  slide.dataset.query = imageData.query || '';
+  slide.dataset.source = imageData.source || '';
 
   const img = document.createElement('img');
   img.className = 'auto-illust-img';
   img.alt = imageData.query || '';
   img.referrerPolicy = 'no-referrer';
 
-  // 直接用原图 URL 加载，不走 fetch，避免 CORS
-  img.src = imageData.url;
+  // 优先用本地缓存；没有缓存就直接用原图 URL 加载，不走 fetch，避免 CORS
+  // img.src 读出来是浏览器规范化后的绝对地址，不能拿来和原图 URL 比，用标记记住是否已退回原图
+  let triedOriginal = !settings.cache_enabled;
+  if (settings.cache_enabled) {
+    getCachedImageUrl(imageData.url).then((cached) => {
+      triedOriginal = !cached;
+      img.src = cached || imageData.url;
+    });
+  } else {
+    img.src = imageData.url;
+  }
   img.onload = () => img.classList.add('loaded');
   img.onerror = () => {
-    if (img.src !== imageData.url) {
+    // 缓存失效就退回原图
+    if (!triedOriginal) {
+      triedOriginal = true;
       img.src = imageData.url;
-    } else {
+      return;
+    }
+    // 这张加载失败：移除这一页，全部失败则移除整个容器
+    slide.remove();
+    if (!wrapper.querySelector('.auto-illust-slide')) {
       wrapper.remove();
+    } else {
+      goToSlide(wrapper, Number(wrapper.dataset.active || 0));
     }
   };
 
+  // 点击打开大图查看器（index.js 里统一处理）
   img.style.cursor = 'pointer';
-  img.onclick = () => window.open(imageData.url, '_blank');
 
-  wrapper.appendChild(img);
+  slide.appendChild(img);
 
   // 图片标注
   if (settings.show_caption) {
     const caption = document.createElement('div');
     caption.className = 'auto-illust-caption';
 
-    const sourceIcon = imageData.source === 'google' ? '🔍' :
-      imageData.source === 'commons' ? '🏛️' : '📖';
-    caption.textContent = `${sourceIcon} ${imageData.query || ''} · via ${imageData.source}`;
+    const sourceIcon = getSourceIcon(imageData.source);
+    caption.textContent = `${sourceIcon} ${imageData.query || ''} · via ${getSourceLabel(imageData.source)}`
+      + (imageData.license ? ` · ${imageData.license}` : '');
+    caption.title = formatCredit(imageData);
 
     caption.style.cursor = 'pointer';
-    caption.onclick = () => window.open(imageData.url, '_blank');
 
-    wrapper.appendChild(caption);
+    slide.appendChild(caption);
   }
 
-  // 替换加载占位符（占位符已经在正确位置）
-  const placeholder = messageElement.querySelector(
-    `.auto-illust-loading[data-mesid="${messageId}"]`
-  );
+  return slide;
+}
+
+// ============ 锚定段落 ============
 
-  if (placeholder) {
-    placeholder.replaceWith(wrapper);
-  } else {
-    // 没有占位符（恢复场景）：用临时标记定位，再替换为真实元素
+// 去掉空白和标点再比较，AI 摘抄时常常改动引号、空格
+function normalizeForMatch(text) {
+  return String(text || '').replace(/[\s\p{P}]/gu, '').toLowerCase();
+}
+
+function getParagraphs(textElement) {
+  return Array.from(textElement.querySelectorAll('p, li, h1, h2, h3, h4, h5, h6'))
+    .filter(el => !el.closest('.auto-illust-wrapper, details') && el.textContent.trim());
+}
+
+/**
+ * 找到配图对应的段落
+ * @param {Element[]} paragraphs
+ * @param {string|number} anchor 原文摘抄，或从 1 开始的段落序号
+ * @returns {Element|null}
+ */
+function findAnchorParagraph(paragraphs, anchor) {
+  if (anchor === undefined || anchor === null || anchor === '') return null;
+
+  if (typeof anchor === 'number' || /^\d+$/.test(String(anchor).trim())) {
+    return paragraphs[Number(anchor) - 1] || null;
+  }
+
+  const quote = normalizeForMatch(anchor);
+  if (!quote) return null;
+
+  const texts = paragraphs.map(p => normalizeForMatch(p.textContent));
+  let index = texts.findIndex(t => t.includes(quote));
+
+  // 摘抄不够准确时，用开头几个字再找一次
+  if (index === -1 && quote.length > 8) {
+    index = texts.findIndex(t => t.includes(quote.slice(0, 8)));
+  }
+
+  return index === -1 ? null : paragraphs[index];
+}
+
+// 按放置位置分组：锚定模式下同一段落的图放在一个轮播里，找不到段落的归到默认位置（target 为 null）
+function groupImages(textElement, images, placement) {
+  if (placement !== 'anchored') {
+    return [{ target: null, items: images.map((image, index) => ({ image, index })) }];
+  }
+
+  const paragraphs = getParagraphs(textElement);
+  const groups = [];
+
+  images.forEach((image, index) => {
+    const target = findAnchorParagraph(paragraphs, image.anchor);
+    let group = groups.find(g => g.target === target);
+    if (!group) {
+      group = { target, items: [] };
+      groups.push(group);
+    }
+    group.items.push({ image, index });
+  });
+
+  return groups;
+}
+
+// ============ 渲染配图（不保存） ============
+
+function buildWrapper(items, settings, activeIndex) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'auto-illust-wrapper';
+  wrapper.innerHTML = `
+    <div class="auto-illust-track"></div>
+    <button class="auto-illust-nav auto-illust-prev" title="上一张">‹</button>
+    <button class="auto-illust-nav auto-illust-next" title="下一张">›</button>
+    <div class="auto-illust-dots"></div>
+    <div class="auto-illust-actions">
+      <button class="auto-illust-action" data-action="pick" title="换一张（同一批候选）">🎲</button>
+      <button class="auto-illust-action" data-action="search" title="重新搜索（同样的关键词）">🔍</button>
+      <button class="auto-illust-action" data-action="extract" title="重新提取关键词">🔄</button>
+    </div>`;
+
+  const track = wrapper.querySelector('.auto-illust-track');
+  for (const { image, index } of items) {
+    const slide = buildSlide(image, settings, wrapper);
+    // 在整条消息所有配图中的序号，重新配图时用
+    slide.dataset.index = index;
+    track.appendChild(slide);
+  }
+
+  setupCarousel(wrapper);
+  goToSlide(wrapper, Math.max(0, items.findIndex(item => item.index === activeIndex)));
+  return wrapper;
+}
+
+/**
+ * 渲染一条消息的配图
+ * placement:
+ *   anchored 每张图放在它描述的段落之后（同一段落的合成一个轮播），找不到段落时同 end
+ *   end      正文末尾、元数据（<!-- / <details>）之前
+ *   top      正文最前
+ *   bottom   正文最后
+ */
+export function renderIllustrations(messageId, images, activeIndex = 0) {
+  const messageElement = getMessageElement(messageId);
+  if (!messageElement) return;
+
+  const textElement = messageElement.querySelector('.mes_text');
+  if (!textElement) return;
+
+  const settings = getSettings();
+  const placement = settings.placement || 'end';
+
+  // 同一条消息只保留本次渲染的配图容器
+  messageElement.querySelectorAll('.auto-illust-wrapper:not(.auto-illust-loading)')
+    .forEach(el => el.remove());
+
+  // 加载占位符已经在默认位置；没有占位符（恢复场景）就用临时标记定位。
+  // spliceHtml 会重写 innerHTML，必须在插入带事件的元素、查找段落之前做
+  const placeholder = messageElement.querySelector('.auto-illust-loading');
+  let marker = placeholder;
+  if (!marker && (placement === 'end' || placement === 'anchored')) {
     const tempId = `auto-illust-temp-${messageId}-${Date.now()}`;
     spliceHtml(textElement, `<div id="${tempId}"></div>`);
+    marker = document.getElementById(tempId);
+  }
 
-    const tempEl = document.getElementById(tempId);
-    if (tempEl) {
-      tempEl.replaceWith(wrapper);
-    } else {
+  for (const group of groupImages(textElement, images, placement)) {
+    const wrapper = buildWrapper(group.items, settings, activeIndex);
+
+    if (group.target) {
+      group.target.after(wrapper);
+    } else if (placement === 'top') {
+      textElement.prepend(wrapper);
+    } else if (placement === 'bottom' || !marker?.isConnected) {
       textElement.appendChild(wrapper);
+    } else {
+      marker.replaceWith(wrapper);
     }
   }
 
-  // 保存到消息元数据
+  placeholder?.remove();
+  if (marker?.isConnected) marker.remove();
+}
+
+// ============ 移除配图 ============
+
+export function removeIllustrations(messageId) {
+  getMessageElement(messageId)?.querySelectorAll('.auto-illust-wrapper:not(.auto-illust-loading)')
+    .forEach(el => el.remove());
+}
+
+// ============ 重新配图中的状态 ============
+
+export function setIllustBusy(messageId, busy) {
+  const wrappers = getMessageElement(messageId)?.querySelectorAll('.auto-illust-wrapper:not(.auto-illust-loading)') || [];
+
+  wrappers.forEach(wrapper => {
+    wrapper.classList.toggle('auto-illust-busy', busy);
+    wrapper.querySelectorAll('.auto-illust-action').forEach(btn => { btn.disabled = busy; });
+  });
+}
+
+// ============ 队列状态 ============
+
+/**
+ * 右下角的队列状态提示，空闲时隐藏，点击可取消全部任务
+ * @param {{running: number, pending: number, labels: string[]}} status
+ */
+export function renderQueueStatus({ running, pending, labels }) {
+  let pill = document.getElementById('auto_illust_queue_status');
+
+  if (!running && !pending) {
+    pill?.remove();
+    return;
+  }
+
+  if (!pill) {
+    pill = document.createElement('div');
+    pill.id = 'auto_illust_queue_status';
+    pill.addEventListener('click', async () => {
+      if (await callGenericPopup('取消所有配图任务？', POPUP_TYPE.CONFIRM)) cancelAllJobs();
+    });
+    document.body.appendChild(pill);
+  }
+
+  pill.textContent = pending ? `🖼️ 配图中 ${running} · 排队 ${pending}` : `🖼️ 配图中 ${running}`;
+  pill.title = [...labels, '', '点击取消全部'].join('\n');
+}
+
+// ============ 插入图片到消息（渲染 + 保存） ============
+
+export async function insertImagesToMessage(messageId, images, extra = {}, activeIndex = 0) {
+  if (!images?.length) return;
+
+  renderIllustrations(messageId, images, activeIndex);
+
+  // 保存到消息元数据（extra: queries / candidates / shown）
   const context = getContext();
   const message = context.chat[messageId];
   if (message) {
-    if (!message.extra) message.extra = {};
-    message.extra.auto_illust = {
-      url: imageData.url,
-      thumbnail: imageData.thumbnail,
-      query: imageData.query,
-      source: imageData.source,
-      title: imageData.title,
-    };
+    setIllust(message, { ...extra, images });
     await context.saveChat();
   }
+
+  // 后台缓存到本地，不阻塞显示
+  cacheImages(images);
+}
+
+// ============ 按元数据重新渲染 ============
+
+// 当前 swipe 有图就渲染，没有就清掉（swipe / 编辑 / 删除后调用）
+export function refreshMessageImages(messageId) {
+  const illust = getIllust(getContext().chat?.[messageId]);
+
+  removeIllustrations(messageId);
+  if (illust) renderIllustrations(messageId, illust.images);
+}
+
+export function refreshAllImages() {
+  const chat = getContext().chat || [];
+  for (let i = 0; i < chat.length; i++) {
+    refreshMessageImages(i);
+  }
 }
 
 // ============ 恢复所有图片 ============
@@ -153,14 +419,14 @@ export async function restoreAllImages() {
   await new Promise(r => setTimeout(r, 500));
 
   for (let i = 0; i < context.chat.length; i++) {
-    const illust = context.chat[i]?.extra?.auto_illust;
+    const illust = getIllust(context.chat[i]);
     if (!illust) continue;
 
-    const messageEl = document.querySelector(`[mesid="${i}"]`);
+    const messageEl = getMessageElement(i);
     if (!messageEl) continue;
     if (messageEl.querySelector('.auto-illust-wrapper')) continue;
 
-    await insertImageToMessage(i, illust);
+    renderIllustrations(i, illust.images);
   }
 
   console.log('[AutoIllust] 图片恢复完成');
@@ -0,0 +1,139 @@
+import { getContext } from '../../../extensions.js';
+import { getSettings } from './index.js';
+
+// ============ 用量统计 ============
+//
+// 存在 localStorage（只记本浏览器），按 日期|聊天|类型|名称 聚合：
+//   ai      名称为模型，记 input / output token、请求数、发送的图片数
+//   search  名称为搜索源 id，记搜索次数而不是 HTTP 请求数：Wikimedia 一次搜索会发好几个请求，
+//           Serper 一次搜索正好一个请求；缓存命中不算
+// 只保留最近 KEEP_DAYS 天。
+
+const STORAGE_KEY = 'auto_illust_usage';
+const KEEP_DAYS = 90;
+
+let records = null;
+
+function today() {
+  // sv 区域格式恰好是 YYYY-MM-DD，且用本地时区
+  return new Date().toLocaleDateString('sv');
+}
+
+function load() {
+  if (records) return records;
+  try {
+    records = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    records = {};
+  }
+  return records;
+}
+
+let saveTimer = null;
+
+function save() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    const cutoff = new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000).toLocaleDateString('sv');
+    for (const key of Object.keys(records)) {
+      if (key.split('|')[0] < cutoff) delete records[key];
+    }
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(records));
+  }, 1000);
+}
+
+function bump(kind, name, values) {
+  const chatId = getContext().getCurrentChatId?.() || '';
+  const key = [today(), chatId, kind, name].join('|');
+  const entry = load()[key] ||= { requests: 0, input: 0, output: 0, images: 0 };
+
+  entry.requests++;
+  for (const [field, value] of Object.entries(values)) {
+    entry[field] += value || 0;
+  }
+  save();
+}
+
+/**
+ * 记录一次 AI 调用
+ * @param {string} model
+ * @param {{input?: number, output?: number}|null} usage 后端没返回用量时为 null，只计次数
+ * @param {number} [images] 发送的图片数
+ */
+export function recordAIUsage(model, usage, images = 0) {
+  bump('ai', model || '(未知模型)', {
+    input: usage?.input,
+    output: usage?.output,
+    images,
+  });
+}
+
+export function recordSearch(providerId) {
+  bump('search', providerId, {});
+}
+
+// ============ 查询 ============
+
+/**
+ * 汇总用量
+ * @param {object} [filter]
+ * @param {number} [filter.days] 最近几天（含今天），不填为全部
+ * @param {string} [filter.chatId] 只看某个聊天
+ * @returns {{tokens: number, input: number, output: number, images: number, requests: number,
+ *   models: Object<string, object>, searches: Object<string, number>, chats: Object<string, object>}}
+ */
+export function getUsageSummary({ days, chatId } = {}) {
+  const since = days ? new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000).toLocaleDateString('sv') : '';
+  const summary = { tokens: 0, input: 0, output: 0, images: 0, requests: 0, models: {}, searches: {}, chats: {} };
+
+  for (const [key, entry] of Object.entries(load())) {
+    const [day, chat, kind, name] = key.split('|');
+    if (day < since) continue;
+    if (chatId !== undefined && chat !== chatId) continue;
+
+    const perChat = summary.chats[chat] ||= { tokens: 0, searches: 0 };
+
+    if (kind === 'search') {
+      summary.searches[name] = (summary.searches[name] || 0) + entry.requests;
+      perChat.searches += entry.requests;
+      continue;
+    }
+
+    const model = summary.models[name] ||= { input: 0, output: 0, images: 0, requests: 0 };
+    for (const field of ['input', 'output', 'images', 'requests']) {
+      model[field] += entry[field];
+      summary[field] += entry[field];
+    }
+    perChat.tokens += entry.input + entry.output;
+  }
+
+  summary.tokens = summary.input + summary.output;
+  return summary;
+}
+
+export function clearUsage() {
+  records = {};
+  localStorage.removeItem(STORAGE_KEY);
+}
+
+// ============ 预算 ============
+
+/**
+ * 今天是否超出预算
+ * @returns {string} 超出时返回原因，否则为空字符串
+ */
+export function getBudgetExceeded() {
+  const settings = getSettings();
+  const usage = getUsageSummary({ days: 1 });
+
+  if (settings.budget_daily_tokens > 0 && usage.tokens >= settings.budget_daily_tokens) {
+    return `今日 token 已用 ${usage.tokens}，达到上限 ${settings.budget_daily_tokens}`;
+  }
+
+  const serper = usage.searches.google || 0;
+  if (settings.budget_daily_serper > 0 && serper >= settings.budget_daily_serper) {
+    return `今日 Serper 已调用 ${serper} 次，达到上限 ${settings.budget_daily_serper}`;
+  }
+
+  return '';
+}